@@ -0,0 +1,110 @@
+const deepFreeze = require('deep-freeze')
+const expect = require('expect.js')
+const { diff, applyChanges, revertChanges, invertChanges, composeChanges, squash } = require('.')
+
+describe('Change-set algebra', function () {
+  const first = deepFreeze({ title: 'draft', tags: ['a', 'b'], meta: { views: 1 }, removed: true })
+  const second = deepFreeze({ title: 'final', tags: ['b', 'c'], meta: { views: 2 }, added: { x: 1 } })
+  const third = deepFreeze({ title: 'draft', tags: ['c'], added: { x: 2, y: 3 } })
+
+  describe('invertChanges', function () {
+    it('inverts every kind of change', function () {
+      expect(invertChanges(diff({ a: 1, b: 2, l: [1] }, { a: 2, c: 3, l: [1, 2] }))).to.eql([
+        { kind: 'D', path: ['c'], lhs: 3 },
+        { kind: 'A', path: ['l'], index: 1, item: { kind: 'D', lhs: 2 } },
+        { kind: 'N', path: ['b'], rhs: 2 },
+        { kind: 'E', path: ['a'], lhs: 2, rhs: 1 },
+      ])
+      expect(invertChanges({ kind: 'M', path: ['l'], from: 0, to: 2 })).to.eql([
+        { kind: 'M', path: ['l'], from: 2, to: 0 },
+      ])
+    })
+
+    it('undoes the changes', function () {
+      for (const arrays of ['index', 'lcs']) {
+        const changes = diff(first, second, { arrays })
+        expect(applyChanges(second, invertChanges(changes))).to.eql(first)
+        expect(invertChanges(invertChanges(changes))).to.eql(changes)
+      }
+    })
+
+    it('inverts changes nested in array records', function () {
+      const objectHash = function (item) {
+        return item.id
+      }
+      const lhs = { list: [{ id: 1, n: 'one' }, { id: 2 }] }
+      const rhs = { list: [{ id: 3 }, { id: 2 }, { id: 1, n: 'ONE' }] }
+      const changes = diff(lhs, rhs, { objectHash })
+      expect(applyChanges(rhs, invertChanges(changes), { objectHash })).to.eql(lhs)
+    })
+  })
+
+  describe('composeChanges', function () {
+    it('does what applying both change sets does', function () {
+      for (const arrays of ['index', 'lcs']) {
+        const composed = composeChanges(diff(first, second, { arrays }), diff(second, third, { arrays }))
+        expect(applyChanges(first, composed)).to.eql(third)
+        expect(revertChanges(third, composed)).to.eql(first)
+      }
+    })
+
+    it('merges the changes to the same properties', function () {
+      const composed = composeChanges(diff(first, second), diff(second, third))
+      expect(
+        composed.filter(function (change) {
+          return change.path.length === 1 && change.kind !== 'A'
+        })
+      ).to.eql([
+        { kind: 'D', path: ['removed'], lhs: true },
+        { kind: 'N', path: ['added'], rhs: { x: 2, y: 3 } },
+        { kind: 'D', path: ['meta'], lhs: { views: 1 } },
+      ])
+    })
+  })
+
+  describe('squash', function () {
+    it('combines successive changes to a path', function () {
+      expect(
+        squash([
+          { kind: 'N', path: ['a'], rhs: 1 },
+          { kind: 'E', path: ['b'], lhs: 1, rhs: 2 },
+          { kind: 'E', path: ['a'], lhs: 1, rhs: 2 },
+          { kind: 'E', path: ['b'], lhs: 2, rhs: 3 },
+          { kind: 'D', path: ['c'], lhs: 1 },
+          { kind: 'N', path: ['c'], rhs: 2 },
+          { kind: 'N', path: ['d'], rhs: 1 },
+          { kind: 'D', path: ['d'], lhs: 1 },
+        ])
+      ).to.eql([
+        { kind: 'N', path: ['a'], rhs: 2 },
+        { kind: 'E', path: ['b'], lhs: 1, rhs: 3 },
+        { kind: 'E', path: ['c'], lhs: 1, rhs: 2 },
+      ])
+    })
+
+    it('drops changes that cancel out', function () {
+      const changes = diff(first, second)
+      expect(squash(changes.concat(invertChanges(changes)))).to.eql([])
+    })
+
+    it('folds changes into the values set or replaced around them', function () {
+      expect(
+        squash([
+          { kind: 'N', path: ['a'], rhs: { b: 1 } },
+          { kind: 'E', path: ['a', 'b'], lhs: 1, rhs: 2 },
+          { kind: 'N', path: ['c', 'd'], rhs: 1 },
+          { kind: 'E', path: ['c'], lhs: { d: 1 }, rhs: 0 },
+        ])
+      ).to.eql([{ kind: 'N', path: ['a'], rhs: { b: 2 } }, { kind: 'E', path: ['c'], lhs: {}, rhs: 0 }])
+    })
+
+    it('does not merge changes across changes to an array', function () {
+      const changes = [
+        { kind: 'E', path: ['l', 0], lhs: 1, rhs: 2 },
+        { kind: 'A', path: ['l'], index: 0, item: { kind: 'N', rhs: 0 } },
+        { kind: 'E', path: ['l', 0], lhs: 0, rhs: 3 },
+      ]
+      expect(squash(changes)).to.eql(changes)
+    })
+  })
+})
@@ -0,0 +1,153 @@
+import cloneDeep from 'lodash.clonedeep'
+import { applyChanges, patchValue, revertChanges } from './apply'
+import { ArrayDiff, BytesDiff, Change, DeleteDiff, EditDiff, MoveDiff, NewDiff, TextDiff, withPath } from './changes'
+import { isEqual } from './diff'
+import { invertHunks } from './text'
+
+function toList(changes: Change | Change[] | null) {
+  return (!changes ? [] : Array.isArray(changes) ? changes : [changes]).filter(change => !!change)
+}
+
+function invert(change: Change): Change {
+  switch (change.kind) {
+    case 'A':
+      return new ArrayDiff(change.path, change.index, invert(change.item), change.key, change.unordered)
+    case 'B':
+      return new BytesDiff(change.path, change.index, change.rhs, change.lhs)
+    case 'D':
+      return new NewDiff(change.path, cloneDeep(change.lhs))
+    case 'E':
+      return new EditDiff(change.path, cloneDeep(change.rhs), cloneDeep(change.lhs))
+    case 'M':
+      return new MoveDiff(change.path, change.to, change.from, change.key)
+    case 'N':
+      return new DeleteDiff(change.path, cloneDeep(change.rhs))
+    case 'T':
+      return new TextDiff(change.path, invertHunks(change.hunks))
+  }
+}
+
+/** Builds the changes undoing `changes`: applying them does what reverting `changes` does */
+export function invertChanges(changes: Change | Change[] | null): Change[] {
+  return toList(changes)
+    .map(invert)
+    .reverse()
+}
+
+function isPrefix(prefix: any[], path: any[]) {
+  return prefix.length <= path.length && prefix.every((segment, i) => segment === path[i])
+}
+
+// Combines two changes made one after the other at the same path, null when both cancel out and undefined when they
+// can't be combined
+function combine(first: Change, second: Change): Change | null | undefined {
+  const { path } = first
+  if (first.kind === 'N' && second.kind === 'E') {
+    return new NewDiff(path, second.rhs)
+  }
+  if (first.kind === 'N' && second.kind === 'D') {
+    return null
+  }
+  if ((first.kind === 'E' && second.kind === 'E') || (first.kind === 'D' && second.kind === 'N')) {
+    return isEqual(first.lhs, second.rhs) ? null : new EditDiff(path, first.lhs, second.rhs)
+  }
+  if (first.kind === 'E' && second.kind === 'D') {
+    return new DeleteDiff(path, first.lhs)
+  }
+  try {
+    // text and byte range changes become part of the values set before them or replaced after them
+    if (first.kind === 'N' && (second.kind === 'T' || second.kind === 'B')) {
+      return new NewDiff(path, patchValue(first.rhs, second, false))
+    }
+    if (first.kind === 'E' && (second.kind === 'T' || second.kind === 'B')) {
+      const rhs = patchValue(first.rhs, second, false)
+      return isEqual(first.lhs, rhs) ? null : new EditDiff(path, first.lhs, rhs)
+    }
+    if ((first.kind === 'T' || first.kind === 'B') && second.kind === 'E') {
+      const lhs = patchValue(second.lhs, first, true)
+      return isEqual(lhs, second.rhs) ? null : new EditDiff(path, lhs, second.rhs)
+    }
+    if ((first.kind === 'T' || first.kind === 'B') && second.kind === 'D') {
+      return new DeleteDiff(path, patchValue(second.lhs, first, true))
+    }
+  } catch (e) {
+    // the values don't match the changes, which are kept apart
+  }
+  return undefined
+}
+
+// Tries to merge the change at `later` into the last change before it touching the same part of the object. Changes
+// in between touch other parts, so the two can be brought together without changing the outcome.
+function squashInto(list: Array<Change | null>, later: number) {
+  const second = list[later]!
+  const path = second.path || []
+  if (second.kind === 'A' || second.kind === 'M') {
+    return false
+  }
+  for (let i = later - 1; i >= 0; i--) {
+    const first = list[i]
+    const firstPath = (first && first.path) || []
+    if (!first || !(isPrefix(firstPath, path) || isPrefix(path, firstPath))) {
+      continue
+    }
+    // indices within an array shift with its elements, so changes are never merged across array changes
+    if (first.kind === 'A' || first.kind === 'M') {
+      return false
+    }
+    if (firstPath.length === path.length) {
+      const combined = combine(first, second)
+      if (typeof combined === 'undefined') {
+        return false
+      }
+      list[i] = null
+      list[later] = combined
+      return true
+    }
+    if (firstPath.length < path.length) {
+      // a change within a value set earlier becomes part of that value
+      const within = withPath(second, path.slice(firstPath.length))
+      if (first.kind === 'E') {
+        list[i] = new EditDiff(first.path, first.lhs, applyChanges(first.rhs, within))
+      } else if (first.kind === 'N') {
+        list[i] = new NewDiff(first.path, applyChanges(first.rhs, within))
+      } else {
+        return false
+      }
+      list[later] = null
+      return true
+    }
+    // a change within a value replaced or deleted later disappears with it
+    const outside = withPath(first, firstPath.slice(path.length))
+    if (second.kind === 'E') {
+      list[later] = new EditDiff(second.path, revertChanges(second.lhs, outside), second.rhs)
+    } else if (second.kind === 'D') {
+      list[later] = new DeleteDiff(second.path, revertChanges(second.lhs, outside))
+    } else {
+      return false
+    }
+    list[i] = null
+    return true
+  }
+  return false
+}
+
+/**
+ * Collapses changes made to the same part of an object into one: an addition and a later edit become one addition, an
+ * addition and a later deletion disappear, a change within a value replaced later is dropped and so on. The result
+ * applies to the same object with the same outcome.
+ */
+export function squash(changes: Change | Change[] | null): Change[] {
+  const list: Array<Change | null> = toList(changes).map(change => cloneDeep(change))
+  for (let i = 0; i < list.length; i++) {
+    let merged = true
+    while (merged && list[i]) {
+      merged = squashInto(list, i)
+    }
+  }
+  return list.filter((change): change is Change => !!change)
+}
+
+/** Builds a single list of changes doing what applying `first` and then `second` does */
+export function composeChanges(first: Change | Change[] | null, second: Change | Change[] | null): Change[] {
+  return squash(toList(first).concat(toList(second)))
+}
@@ -0,0 +1,158 @@
+const deepFreeze = require('deep-freeze')
+const expect = require('expect.js')
+const { diff, applyChanges, revertChanges, PatchApplyError, PatchConflictError } = require('.')
+
+describe('Checking changes before applying them', function () {
+  const lhs = deepFreeze({ title: 'draft', tags: ['a', 'b'], removed: true })
+  const rhs = deepFreeze({ title: 'final', tags: ['a', 'b', 'c'], added: 1 })
+  const changes = diff(lhs, rhs)
+
+  it('applies changes that find what they expect', function () {
+    expect(applyChanges(lhs, changes, { strict: true })).to.eql(rhs)
+    expect(revertChanges(rhs, changes, { strict: true })).to.eql(lhs)
+  })
+
+  it('throws a PatchConflictError listing every change that does not apply', function () {
+    const target = { title: 'other', tags: ['a'], added: 0 }
+    let error
+    try {
+      applyChanges(target, changes, { strict: true })
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.a(PatchConflictError)
+    expect(error.message).to.be('Changes do not apply at title, tags.2, removed, added')
+    expect(
+      error.conflicts.map(function (conflict) {
+        return [conflict.index, conflict.reason, conflict.expected, conflict.actual]
+      })
+    ).to.eql([
+      [0, 'mismatch', 'draft', 'other'],
+      [1, 'index', undefined, undefined],
+      [2, 'missing', true, undefined],
+      [3, 'exists', undefined, 0],
+    ])
+    expect(error.conflicts[0].change).to.be(changes[0])
+  })
+
+  it('checks reverted changes against their rhs', function () {
+    expect(revertChanges(lhs, changes, { dryRun: true }).conflicts.map(conflict => conflict.reason)).to.eql([
+      'missing',
+      'exists',
+      'index',
+      'mismatch',
+    ])
+  })
+
+  it('checks changes within array elements', function () {
+    const before = { list: [{ id: 1, n: 'one' }, { id: 2, n: 'two' }] }
+    const after = { list: [{ id: 2, n: 'TWO' }, { id: 1, n: 'one' }] }
+    const objectHash = function (item) {
+      return item.id
+    }
+    const keyed = diff(before, after, { objectHash })
+    const moved = { list: [{ id: 2, n: 'two' }, { id: 1, n: 'one' }] }
+    expect(applyChanges(moved, keyed, { objectHash, strict: true })).to.eql(after)
+
+    const edited = { list: [{ id: 1, n: 'one' }, { id: 2, n: 'zwei' }] }
+    const { conflicts } = applyChanges(edited, keyed, { objectHash, dryRun: true })
+    expect(conflicts).to.have.length(1)
+    expect(conflicts[0].path).to.eql(['list', 0, 'n'])
+    expect(conflicts[0].reason).to.be('mismatch')
+  })
+
+  it('reports a missing array or a value in its place', function () {
+    const change = { kind: 'A', path: ['list'], index: 0, item: { kind: 'D', lhs: 1 } }
+    expect(applyChanges({}, change, { dryRun: true }).conflicts[0].reason).to.be('missing')
+    expect(applyChanges({ list: 'x' }, change, { dryRun: true }).conflicts[0].reason).to.be('type')
+  })
+
+  it('reports conflicts on a dry run without applying anything', function () {
+    expect(applyChanges(lhs, changes, { dryRun: true })).to.eql({ conflicts: [] })
+    const report = applyChanges(rhs, changes, { dryRun: true })
+    expect(report.conflicts).to.have.length(3)
+    expect(report).to.only.have.keys('conflicts')
+  })
+
+  it('leaves changes unchecked by default', function () {
+    expect(applyChanges({ title: 'other' }, changes[0])).to.eql({ title: 'final' })
+  })
+})
+
+describe('Failing changes', function () {
+  const changes = [
+    { kind: 'E', path: ['a'], lhs: 1, rhs: 2 },
+    { kind: 'A', path: ['text', 'x'], index: 0, item: { kind: 'N', rhs: 1 } },
+    { kind: 'N', path: ['b'], rhs: 3 },
+  ]
+
+  it('throws a PatchApplyError identifying the change and leaves the target alone', function () {
+    const target = deepFreeze({ a: 1, text: 'y' })
+    let error
+    try {
+      applyChanges(target, changes)
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.a(PatchApplyError)
+    expect(error.index).to.be(1)
+    expect(error.change).to.be(changes[1])
+    expect(error.path).to.eql(['text', 'x', 0])
+    expect(error.cause).to.be.a(TypeError)
+    expect(error.reason).to.be(error.cause.message)
+    expect(error.message).to.be('Change 1 at text.x.0 failed: ' + error.reason)
+  })
+
+  it('applies everything it can with continueOnError', function () {
+    const { result, applied, failed } = applyChanges({ a: 1, text: 'y' }, changes, { continueOnError: true })
+    expect(result).to.eql({ a: 2, text: 'y', b: 3 })
+    expect(applied).to.eql([0, 2])
+    expect(failed).to.have.length(1)
+    expect(failed[0].index).to.be(1)
+  })
+
+  it('reports reverted changes in the order they were undone', function () {
+    const { result, applied, failed } = revertChanges({ a: 2, text: 'y', b: 3 }, changes, { continueOnError: true })
+    expect(result).to.eql({ a: 1, text: 'y' })
+    expect(applied).to.eql([2, 0])
+    expect(failed[0].index).to.be(1)
+  })
+
+  it('skips conflicting changes in strict mode', function () {
+    const { result, applied, failed } = applyChanges({ a: 5, b: 0 }, [changes[0], changes[2]], {
+      continueOnError: true,
+      strict: true,
+    })
+    expect(result).to.eql({ a: 5, b: 0 })
+    expect(applied).to.be.empty()
+    expect(
+      failed.map(function (error) {
+        return [error.index, error.reason]
+      })
+    ).to.eql([[0, 'mismatch'], [1, 'exists']])
+    expect(failed[0].cause).to.be.a(PatchConflictError)
+    expect(failed[0].cause.conflicts[0].expected).to.be(1)
+  })
+})
+
+describe('Changes to the whole value', function () {
+  it('return the value they replace the target with', function () {
+    const pairs = [[1, 2], [{ a: 1 }, ['a']], [undefined, { a: 1 }], [{ a: 1 }, undefined]]
+    for (const [lhs, rhs] of pairs) {
+      const changes = diff(lhs, rhs)
+      for (const mode of ['clone', 'share', 'mutate']) {
+        expect(applyChanges(lhs, changes, { mode, strict: true })).to.eql(rhs)
+        expect(revertChanges(rhs, changes, { mode, strict: true })).to.eql(lhs)
+      }
+    }
+    const frozen = applyChanges({ a: 1 }, diff({ a: 1 }, [{ b: 1 }]), { freeze: true, mode: 'share' })
+    expect(Object.isFrozen(frozen[0])).to.be(true)
+  })
+
+  it('check the value they replace', function () {
+    const report = applyChanges([1], diff({ a: 1 }, [1]), { dryRun: true })
+    expect(report.conflicts).to.have.length(1)
+    expect(report.conflicts[0]).to.have.property('reason', 'mismatch')
+    expect(report.conflicts[0].path).to.eql([])
+  })
+})
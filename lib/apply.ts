@@ -0,0 +1,739 @@
+import cloneDeep from 'lodash.clonedeep'
+import { arrayInsert, arrayMove, arrayRemove } from './arrays'
+import { isTypedArray, matchesBytes, patchBytes } from './bytes'
+import { ArrayDiff, BytesDiff, Change, DeleteDiff, EditDiff, MoveDiff, NewDiff, TextDiff } from './changes'
+import { deleteChild, getChild, hasChild, setChild } from './collections'
+import { isEqual, ObjectHash } from './diff'
+import { compileFilter, PathFilter } from './paths'
+import { patchText } from './text'
+import {
+  PatchApplyError,
+  PatchConflict,
+  PatchConflictError,
+  PatchReport,
+  PatchResult,
+  UnsafeChangeError,
+} from './errors'
+
+export interface ApplyOptions {
+  /**
+   * Skip the changes that fail instead of throwing, resolving to a `{ result, applied, failed }` report of what was and
+   * wasn't applied
+   */
+  readonly continueOnError?: boolean
+  /** Only check the changes against the target, resolving to a report of the conflicts rather than a result */
+  readonly dryRun?: boolean
+  /**
+   * Freeze the objects of the result that aren't shared with the target: the whole result when it is a clone, the
+   * copies and the values the changes put in when it shares the rest. Has no effect when mutating the target.
+   */
+  readonly freeze?: boolean
+  /** The most changes to apply at once, more being refused with an `UnsafeChangeError` */
+  readonly maxChanges?: number
+  /** The most segments a change's path may have, those of the array items it holds included */
+  readonly maxDepth?: number
+  /**
+   * How the result is made: `'clone'` (the default) changes a deep clone of the target, `'share'` copies only the
+   * objects and arrays along the paths of the changes and shares the rest with the target, `'mutate'` changes the
+   * target itself, which a failing change then leaves partly changed
+   */
+  readonly mode?: 'clone' | 'share' | 'mutate'
+  /**
+   * The `objectHash` the changes were made with, keyed array changes then find their element by its key rather than
+   * its index so they still land when the target array was reordered
+   */
+  readonly objectHash?: ObjectHash
+  /**
+   * The paths changes may reach: include and exclude patterns, or a function telling whether `change` may reach
+   * `path`. Changes reaching other paths are refused with an `UnsafeChangeError`.
+   */
+  readonly paths?: PathFilter | ((path: any[], change: Change) => boolean)
+  /**
+   * Check that every change finds what it expects before applying it (the `lhs` of an edit or deletion, nothing where
+   * something is added, a valid array index) and throw a `PatchConflictError` listing every change that doesn't
+   */
+  readonly strict?: boolean
+}
+
+export interface DryRunOptions extends ApplyOptions {
+  readonly dryRun: true
+}
+
+export interface ContinueOnErrorOptions extends ApplyOptions {
+  readonly continueOnError: true
+}
+
+// Keyed array changes find their element by its key, falling back on the recorded index when it is gone
+function locate(arr: any[], index: number, key: any, path: any[], { objectHash }: ApplyOptions, inserting = false) {
+  if (!objectHash || typeof key === 'undefined') {
+    return index
+  }
+  if (inserting) {
+    return Math.min(index, arr.length)
+  }
+  const found = arr.findIndex(item => objectHash(item, path) === key)
+  return found >= 0 ? found : index
+}
+
+/** Applies or reverts a change replacing parts of a string or typed array, resolving to the new value */
+export function patchValue(value: any, change: TextDiff | BytesDiff, reverting: boolean) {
+  return change.kind === 'T' ? patchText(value, change.hunks, reverting) : patchBytes(value, change, reverting)
+}
+
+// Members of arrays compared as multisets are removed by value wherever they are, and added where they were or else at
+// the end
+function changeMember(arr: any[], { index, item }: ArrayDiff, reverting: boolean) {
+  if ((item.kind === 'N') !== reverting) {
+    return arrayInsert(arr, Math.min(index, arr.length), reverting ? item.lhs : item.rhs)
+  }
+  const found = arr.findIndex(member => isEqual(member, reverting ? item.rhs : item.lhs))
+  return found < 0 ? arr : arrayRemove(arr, found)
+}
+
+function applyArrayChange(arr: any[], arrayChange: ArrayDiff, path: any[], options: ApplyOptions) {
+  if (arrayChange.unordered) {
+    return changeMember(arr, arrayChange, false)
+  }
+  let { index } = arrayChange
+  const { item: change, key } = arrayChange
+  if (change.path && change.path.length) {
+    index = locate(arr, index, key, path, options)
+    let it = arr[index]
+    let i
+    for (i = 0; i < change.path.length - 1; i++) {
+      it = getChild(it, change.path[i])
+    }
+    const itemPath = path.concat(index, change.path)
+    const child = getChild(it, change.path[i])
+    switch (change.kind) {
+      case 'A':
+        applyArrayChange(child, change, itemPath, options)
+        break
+      case 'M':
+        arrayMove(child, locate(child, change.from, change.key, itemPath, options), change.to)
+        break
+      case 'D':
+        deleteChild(it, change.path[i])
+        break
+      case 'E':
+      case 'N':
+        setChild(it, change.path[i], change.rhs)
+        break
+      case 'B':
+      case 'T':
+        setChild(it, change.path[i], patchValue(child, change, false))
+        break
+    }
+  } else {
+    switch (change.kind) {
+      case 'A':
+        index = locate(arr, index, key, path, options)
+        applyArrayChange(arr[index], change, path.concat(index), options)
+        break
+      case 'M':
+        index = locate(arr, index, key, path, options)
+        arrayMove(arr[index], locate(arr[index], change.from, change.key, path.concat(index), options), change.to)
+        break
+      case 'D':
+        arr = arrayRemove(arr, locate(arr, index, key, path, options))
+        break
+      case 'E':
+        arr[locate(arr, index, key, path, options)] = change.rhs
+        break
+      case 'N':
+        arr = arrayInsert(arr, locate(arr, index, key, path, options, true), change.rhs)
+        break
+      case 'B':
+      case 'T':
+        index = locate(arr, index, key, path, options)
+        arr[index] = patchValue(arr[index], change, false)
+        break
+    }
+  }
+  return arr
+}
+
+export function applyChange(target: any, change: Change, options: ApplyOptions) {
+  if (!change || !target) {
+    return
+  }
+  if (!change.kind) {
+    throw new TypeError('Invalid change object')
+  }
+  let i = -1
+  const last = change.path ? change.path.length - 1 : 0
+  while (++i < last) {
+    if (!change.path) {
+      throw new Error('There must be a path to continue down tree')
+    }
+    if (typeof getChild(target, change.path[i]) === 'undefined') {
+      setChild(target, change.path[i], typeof change.path[i + 1] === 'number' ? [] : {})
+    }
+    target = getChild(target, change.path[i])
+  }
+  switch (change.kind) {
+    case 'A':
+      if (change.path && typeof getChild(target, change.path[i]) === 'undefined') {
+        setChild(target, change.path[i], [])
+      }
+      applyArrayChange(change.path ? getChild(target, change.path[i]) : target, change, change.path || [], options)
+      break
+    case 'M':
+      const arr = change.path ? getChild(target, change.path[i]) : target
+      arrayMove(arr, locate(arr, change.from, change.key, change.path || [], options), change.to)
+      break
+    case 'D':
+      if (!change.path) {
+        throw new Error('There must be a path to delete')
+      }
+      deleteChild(target, change.path[i])
+      break
+    case 'E':
+    case 'N':
+      if (!change.path) {
+        throw new Error('There must be a path to set')
+      }
+      setChild(target, change.path[i], change.rhs)
+      break
+    case 'B':
+    case 'T':
+      if (!change.path) {
+        throw new Error('There must be a path to patch')
+      }
+      setChild(target, change.path[i], patchValue(getChild(target, change.path[i]), change, false))
+      break
+  }
+}
+
+function revertArrayChange(arr: any[], arrayChange: ArrayDiff, path: any[], options: ApplyOptions) {
+  if (arrayChange.unordered) {
+    return changeMember(arr, arrayChange, true)
+  }
+  let { index } = arrayChange
+  const { item: change, key } = arrayChange
+  if (change.path && change.path.length) {
+    // the structure of the object at the index has changed...
+    index = locate(arr, index, key, path, options)
+    let it = arr[index]
+    let i
+    for (i = 0; i < change.path.length - 1; i++) {
+      it = getChild(it, change.path[i])
+    }
+    const itemPath = path.concat(index, change.path)
+    const child = getChild(it, change.path[i])
+    switch (change.kind) {
+      case 'A':
+        revertArrayChange(child, change, itemPath, options)
+        break
+      case 'M':
+        arrayMove(child, locate(child, change.to, change.key, itemPath, options), change.from)
+        break
+      case 'D':
+        setChild(it, change.path[i], change.lhs)
+        break
+      case 'E':
+        setChild(it, change.path[i], change.lhs)
+        break
+      case 'N':
+        deleteChild(it, change.path[i])
+        break
+      case 'B':
+      case 'T':
+        setChild(it, change.path[i], patchValue(child, change, true))
+        break
+    }
+  } else {
+    // the array item is different...
+    switch (change.kind) {
+      case 'A':
+        index = locate(arr, index, key, path, options)
+        revertArrayChange(arr[index], change, path.concat(index), options)
+        break
+      case 'M':
+        index = locate(arr, index, key, path, options)
+        arrayMove(arr[index], locate(arr[index], change.to, change.key, path.concat(index), options), change.from)
+        break
+      case 'D':
+        arr = arrayInsert(arr, locate(arr, index, key, path, options, true), change.lhs)
+        break
+      case 'E':
+        arr[locate(arr, index, key, path, options)] = change.lhs
+        break
+      case 'N':
+        arr = arrayRemove(arr, locate(arr, index, key, path, options))
+        break
+      case 'B':
+      case 'T':
+        index = locate(arr, index, key, path, options)
+        arr[index] = patchValue(arr[index], change, true)
+        break
+    }
+  }
+  return arr
+}
+
+export function revertChange(target: any, change: Change, options: ApplyOptions) {
+  if (!change || !target) {
+    return
+  }
+  if (!change.kind) {
+    throw new TypeError('Invalid change object')
+  }
+  if (!change.path) {
+    // only changes within a top level array can do without a path
+    switch (change.kind) {
+      case 'A':
+        revertArrayChange(target, change, [], options)
+        return
+      case 'M':
+        arrayMove(target, locate(target, change.to, change.key, [], options), change.from)
+        return
+    }
+    throw new Error("This change doesn't have a path")
+  }
+  let i
+  for (i = 0; i < change.path.length - 1; i++) {
+    if (typeof getChild(target, change.path[i]) === 'undefined') {
+      setChild(target, change.path[i], {})
+    }
+    target = getChild(target, change.path[i])
+  }
+  switch (change.kind) {
+    case 'A':
+      // Array was modified...
+      // it will be an array...
+      revertArrayChange(getChild(target, change.path[i]), change, change.path, options)
+      break
+    case 'M':
+      // Array element was moved...
+      const arr = getChild(target, change.path[i])
+      arrayMove(arr, locate(arr, change.to, change.key, change.path, options), change.from)
+      break
+    case 'D':
+      // Item was deleted...
+      setChild(target, change.path[i], change.lhs)
+      break
+    case 'E':
+      // Item was edited...
+      setChild(target, change.path[i], change.lhs)
+      break
+    case 'N':
+      // Item is new...
+      deleteChild(target, change.path[i])
+      break
+    case 'B':
+    case 'T':
+      // Text or bytes were patched...
+      setChild(target, change.path[i], patchValue(getChild(target, change.path[i]), change, true))
+      break
+  }
+}
+
+const ABSENT = {}
+
+function lookup(subject: any, path: any[]) {
+  for (const segment of path) {
+    if (subject === null || typeof subject !== 'object' || !hasChild(subject, segment)) {
+      return ABSENT
+    }
+    subject = getChild(subject, segment)
+  }
+  return subject
+}
+
+type Conflict = Pick<PatchConflict, 'actual' | 'expected' | 'path' | 'reason'>
+
+function conflict(reason: PatchConflict['reason'], path: any[], expected?: any, actual?: any): Conflict {
+  return { reason, path, expected, actual: actual === ABSENT ? undefined : actual }
+}
+
+function expectValue(actual: any, expected: any, path: any[]) {
+  if (actual === ABSENT) {
+    return conflict('missing', path, expected)
+  }
+  return isEqual(actual, expected) ? undefined : conflict('mismatch', path, expected, actual)
+}
+
+function expectNothing(actual: any, path: any[]) {
+  return actual === ABSENT ? undefined : conflict('exists', path, undefined, actual)
+}
+
+function expectText(actual: any, { hunks }: TextDiff, path: any[], reverting: boolean) {
+  if (typeof actual !== 'string') {
+    return conflict(actual === ABSENT ? 'missing' : 'type', path, undefined, actual)
+  }
+  // patchText only finds text where it was or near there with its context, and throws otherwise
+  try {
+    patchText(actual, hunks, reverting)
+  } catch (e) {
+    return conflict('mismatch', path, undefined, actual)
+  }
+  return undefined
+}
+
+function expectBytes(actual: any, change: BytesDiff, path: any[], reverting: boolean) {
+  if (actual === ABSENT) {
+    return conflict('missing', path)
+  }
+  if (!matchesBytes(actual, change, reverting)) {
+    return conflict(isTypedArray(actual) ? 'mismatch' : 'type', path, reverting ? change.rhs : change.lhs, actual)
+  }
+  return undefined
+}
+
+function checkMove(arr: any, { from, key, to }: MoveDiff, path: any[], options: ApplyOptions, reverting: boolean) {
+  if (!Array.isArray(arr)) {
+    return conflict(arr === ABSENT ? 'missing' : 'type', path, undefined, arr)
+  }
+  const source = reverting ? locate(arr, to, key, path, options) : locate(arr, from, key, path, options)
+  const destination = reverting ? from : to
+  if (!(source < arr.length)) {
+    return conflict('index', path.concat(source))
+  }
+  return destination < arr.length ? undefined : conflict('index', path.concat(destination))
+}
+
+function checkArrayChange(arr: any, change: ArrayDiff, path: any[], options: ApplyOptions, reverting: boolean) {
+  if (!Array.isArray(arr)) {
+    return conflict(arr === ABSENT ? 'missing' : 'type', path, undefined, arr)
+  }
+  const { index, item, key } = change
+  if (change.unordered) {
+    const removing = (item.kind === 'D') !== reverting
+    const member = reverting ? item.rhs : item.lhs
+    return !removing || arr.some(element => isEqual(element, member)) ? undefined : conflict('missing', path, member)
+  }
+  const inserting = (item.kind === 'N' && !reverting) || (item.kind === 'D' && reverting)
+  if (inserting && !(item.path && item.path.length)) {
+    const position = locate(arr, index, key, path, options, true)
+    return position <= arr.length ? undefined : conflict('index', path.concat(position))
+  }
+  const found = locate(arr, index, key, path, options)
+  if (!(found < arr.length)) {
+    return conflict('index', path.concat(found))
+  }
+  return check(arr[found], item, path.concat(found), options, reverting)
+}
+
+// Finds what keeps a change from applying to `subject`, whose own path is `base`, or from being reverted
+function check(subject: any, change: Change, base: any[], options: ApplyOptions, reverting: boolean): Conflict | void {
+  const path = base.concat(change.path || [])
+  // an undefined target stands for no value at all, that a change to the whole value adds
+  const actual = subject === undefined && !path.length ? ABSENT : lookup(subject, change.path || [])
+  switch (change.kind) {
+    case 'A':
+      return checkArrayChange(actual, change, path, options, reverting)
+    case 'M':
+      return checkMove(actual, change, path, options, reverting)
+    case 'D':
+      return reverting ? expectNothing(actual, path) : expectValue(actual, change.lhs, path)
+    case 'E':
+      return expectValue(actual, reverting ? change.rhs : change.lhs, path)
+    case 'N':
+      return reverting ? expectValue(actual, change.rhs, path) : expectNothing(actual, path)
+    case 'B':
+      return expectBytes(actual, change, path, reverting)
+    case 'T':
+      return expectText(actual, change, path, reverting)
+  }
+}
+
+// Where a change applies, down to the element for changes within arrays
+function pathOf(change: Change): any[] {
+  const path = (change && change.path) || []
+  return change && change.kind === 'A' ? path.concat(change.index, pathOf(change.item)) : path
+}
+
+// The path to the objects a change modifies in place: the objects holding the value it sets, or the array it moves an
+// element of
+function containerPath(change: Change): any[] {
+  let innermost = change
+  while (innermost.kind === 'A') {
+    innermost = innermost.item
+  }
+  const path = pathOf(change)
+  return innermost.kind === 'M' ? path : path.slice(0, -1)
+}
+
+function isObject(value: any) {
+  return value !== null && typeof value === 'object'
+}
+
+function shallowCopy(value: any) {
+  if (Array.isArray(value)) {
+    return value.slice()
+  }
+  if (value instanceof Map) {
+    return new Map(value)
+  }
+  if (value instanceof Set) {
+    return new Set(value)
+  }
+  return Object.assign(Object.create(Object.getPrototypeOf(value)), value)
+}
+
+// Copies the objects along a path that weren't copied yet, mapping each copy to the object it was copied from. The
+// objects further down are created by the change when they are missing.
+function copyAlong(root: any, path: any[], copies: Map<any, any>) {
+  const copy = (value: any) => {
+    if (copies.has(value)) {
+      return value
+    }
+    const copied = shallowCopy(value)
+    copies.set(copied, value)
+    return copied
+  }
+  const result = isObject(root) ? copy(root) : root
+  let parent = result
+  for (const segment of path) {
+    const child = getChild(parent, segment)
+    if (!isObject(child) || isTypedArray(child)) {
+      break
+    }
+    const copied = copy(child)
+    if (copied !== child) {
+      setChild(parent, segment, copied)
+    }
+    parent = copied
+  }
+  return result
+}
+
+function childrenOf(value: any): any[] {
+  if (value instanceof Map) {
+    return Array.from(value.values())
+  }
+  if (value instanceof Set) {
+    return Array.from(value)
+  }
+  return Object.keys(value).map(key => value[key])
+}
+
+// Freezes a value and the objects it holds, but for those `shared` tells are still the target's
+function freezeDeep(value: any, shared: (child: any, parent: any) => boolean) {
+  const stack = [value]
+  const seen = new Set()
+  while (stack.length) {
+    const current = stack.pop()
+    // typed arrays with elements can't be frozen
+    if (!isObject(current) || isTypedArray(current) || seen.has(current)) {
+      continue
+    }
+    seen.add(current)
+    Object.freeze(current)
+    for (const child of childrenOf(current)) {
+      if (!shared(child, current)) {
+        stack.push(child)
+      }
+    }
+  }
+}
+
+// Whether a child of a copy is one the object it was copied from holds, and so still the target's
+function sharedWith(copies: Map<any, any>) {
+  const originals = new Map<any, Set<any>>()
+  return (child: any, parent: any) => {
+    if (!copies.has(parent)) {
+      return false
+    }
+    if (!originals.has(parent)) {
+      originals.set(parent, new Set(childrenOf(copies.get(parent))))
+    }
+    return originals.get(parent)!.has(child)
+  }
+}
+
+// Whether a path goes through the prototypes objects inherit from
+function isUnsafe(path: any[]) {
+  return path.some(
+    (segment, i) => segment === '__proto__' || (segment === 'constructor' && path[i + 1] === 'prototype')
+  )
+}
+
+// The path to the first key within the values a change sets that goes through the prototypes objects inherit from, a
+// value holding an own `__proto__` key building the same object as a change to that path would
+function unsafeKeyIn(change: Change, path: any[]): any[] | undefined {
+  let innermost = change
+  while (innermost.kind === 'A') {
+    innermost = innermost.item
+  }
+  if (innermost.kind !== 'D' && innermost.kind !== 'E' && innermost.kind !== 'N') {
+    return undefined
+  }
+  const stack: Array<{ path: any[]; value: any }> = [
+    { path, value: (innermost as EditDiff).lhs },
+    { path, value: (innermost as EditDiff).rhs },
+  ]
+  const seen = new Set()
+  while (stack.length) {
+    const current = stack.pop()!
+    if (!isObject(current.value) || isTypedArray(current.value) || seen.has(current.value)) {
+      continue
+    }
+    seen.add(current.value)
+    const entries: Array<[any, any]> =
+      current.value instanceof Map
+        ? Array.from(current.value)
+        : current.value instanceof Set
+          ? []
+          : Object.keys(current.value).map((key): [any, any] => [key, current.value[key]])
+    for (const [key, child] of entries) {
+      const childPath = current.path.concat(key)
+      if (isUnsafe(childPath.slice(-2))) {
+        return childPath
+      }
+      stack.push({ path: childPath, value: child })
+    }
+  }
+  return undefined
+}
+
+// Refuses the whole list of changes when one of them reaches a path it shouldn't or goes past a limit, before any is
+// applied
+function screen(list: Change[], { maxChanges, maxDepth, paths }: ApplyOptions) {
+  const allows = typeof paths === 'function' ? paths : paths ? compileFilter(paths).keeps : undefined
+  if (typeof maxChanges === 'number' && list.length > maxChanges) {
+    const change = list[maxChanges]
+    throw new UnsafeChangeError(change, maxChanges, pathOf(change), 'size', `there are more than ${maxChanges} changes`)
+  }
+  list.forEach((change, index) => {
+    if (!change) {
+      return
+    }
+    const path = pathOf(change)
+    if (isUnsafe(path)) {
+      throw new UnsafeChangeError(change, index, path, 'unsafe', 'its path reaches object prototypes')
+    }
+    const unsafeKey = unsafeKeyIn(change, path)
+    if (unsafeKey) {
+      throw new UnsafeChangeError(
+        change,
+        index,
+        unsafeKey,
+        'unsafe',
+        'its value holds a key reaching object prototypes'
+      )
+    }
+    if (typeof maxDepth === 'number' && path.length > maxDepth) {
+      throw new UnsafeChangeError(change, index, path, 'depth', `its path is longer than ${maxDepth}`)
+    }
+    if (allows && !allows(path, change)) {
+      throw new UnsafeChangeError(change, index, path, 'denied', 'its path is not allowed')
+    }
+  })
+}
+
+// A change to the whole value rather than to what it holds, such as `diff` records when the type of the value changes
+function isWhole(change: Change): change is BytesDiff | DeleteDiff | EditDiff | NewDiff | TextDiff {
+  return !(change.path && change.path.length) && change.kind !== 'A' && change.kind !== 'M'
+}
+
+// The value a change to the whole value replaces it with
+function changeWhole(value: any, change: BytesDiff | DeleteDiff | EditDiff | NewDiff | TextDiff, reverting: boolean) {
+  switch (change.kind) {
+    case 'D':
+      return reverting ? change.lhs : undefined
+    case 'E':
+      return reverting ? change.lhs : change.rhs
+    case 'N':
+      return reverting ? undefined : change.rhs
+  }
+  return patchValue(value, change, reverting)
+}
+
+function run(target: any, changes: Change | Change[] | null, options: ApplyOptions, reverting: boolean) {
+  // a dry run must leave the target alone
+  const mode = options.dryRun && options.mode === 'mutate' ? 'share' : options.mode || 'clone'
+  const list = !changes ? [] : Array.isArray(changes) ? changes : [changes]
+  screen(list, options)
+  const copies = new Map<any, any>()
+  let result = mode === 'clone' ? cloneDeep(target) : target
+  const checking = options.strict || options.dryRun
+  const conflicts: PatchConflict[] = []
+  const applied: number[] = []
+  const failed: PatchApplyError[] = []
+  let replaced = false
+  for (let n = 0; n < list.length; n++) {
+    // changes are undone last to first so array indices line up with the state each one was made against
+    const index = reverting ? list.length - 1 - n : n
+    const change = list[index]
+    if (checking && change) {
+      const found = check(result, change, [], options, reverting)
+      if (found) {
+        const foundConflict = { ...found, change, index }
+        if (options.continueOnError && !options.dryRun) {
+          failed.push(
+            new PatchApplyError(change, index, found.path, new PatchConflictError([foundConflict]), found.reason)
+          )
+        } else {
+          conflicts.push(foundConflict)
+        }
+        continue
+      }
+    }
+    // unless the target is mutated, changes are applied to a copy of it, so throwing leaves the target as it was
+    const changeClone = cloneDeep(change)
+    try {
+      if (changeClone && isWhole(changeClone)) {
+        // the target itself can't be replaced in place, so the new value is returned whatever the mode
+        result = changeWhole(result, changeClone, reverting)
+        replaced = true
+      } else {
+        if (mode === 'share' && change) {
+          result = copyAlong(result, containerPath(change), copies)
+        }
+        if (reverting) {
+          revertChange(result, changeClone, options)
+        } else {
+          applyChange(result, changeClone, options)
+        }
+      }
+    } catch (e) {
+      const error = new PatchApplyError(change, index, pathOf(change), e)
+      if (!options.continueOnError || options.dryRun) {
+        throw error
+      }
+      failed.push(error)
+      continue
+    }
+    applied.push(index)
+  }
+  if (options.dryRun) {
+    const report: PatchReport = { conflicts }
+    return report
+  }
+  if (conflicts.length) {
+    throw new PatchConflictError(conflicts)
+  }
+  // a value that replaced the target holds none of it
+  if (options.freeze && (mode === 'clone' || replaced || copies.has(result))) {
+    freezeDeep(result, mode === 'share' && !replaced ? sharedWith(copies) : () => false)
+  }
+  if (options.continueOnError) {
+    const report: PatchResult = { result, applied, failed }
+    return report
+  }
+  return result
+}
+
+export function revertChanges(target: any, changes: Change | Change[] | null, options: DryRunOptions): PatchReport
+export function revertChanges(
+  target: any,
+  changes: Change | Change[] | null,
+  options: ContinueOnErrorOptions
+): PatchResult
+export function revertChanges(target: any, changes: Change | Change[] | null, options?: ApplyOptions): any
+export function revertChanges(target: any, changes: Change | Change[] | null, options: ApplyOptions = {}) {
+  return run(target, changes, options, true)
+}
+
+export function applyChanges(target: any, changes: Change | Change[] | null, options: DryRunOptions): PatchReport
+export function applyChanges(
+  target: any,
+  changes: Change | Change[] | null,
+  options: ContinueOnErrorOptions
+): PatchResult
+export function applyChanges(target: any, changes: Change | Change[] | null, options?: ApplyOptions): any
+export function applyChanges(target: any, changes: Change | Change[] | null, options: ApplyOptions = {}) {
+  return run(target, changes, options, false)
+}
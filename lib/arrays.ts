@@ -0,0 +1,394 @@
+import { ArrayDiff, Change, DeleteDiff, MoveDiff, NewDiff } from './changes'
+
+export function arrayRemove(arr: any[], from: number, to?: number) {
+  const rest = arr.slice((to || from) + 1 || arr.length)
+  arr.length = from < 0 ? arr.length + from : from
+  arr.push.apply(arr, rest)
+  return arr
+}
+
+// Occupied slots are shifted to make room, anything past the end (or a hole) is simply assigned
+export function arrayInsert(arr: any[], index: number, value: any) {
+  if (index < arr.length && index in arr) {
+    arr.splice(index, 0, value)
+  } else {
+    arr[index] = value
+  }
+  return arr
+}
+
+export function arrayMove(arr: any[], from: number, to: number) {
+  const [value] = arr.splice(from, 1)
+  arr.splice(to, 0, value)
+  return arr
+}
+
+// Spreading a long list into push would overflow the call stack
+export function pushAll<T>(list: T[], more: T[]) {
+  for (const item of more) {
+    list.push(item)
+  }
+}
+
+// The middle snake of Myers' O(ND) algorithm between `lhs[lhsStart..lhsEnd)` and `rhs[rhsStart..rhsEnd)`: a run of
+// equal elements some shortest edit script goes through halfway, found searching from both ends at once so only the
+// furthest reaching paths of the current edit distance are kept. Returns its start and end, relative to the starts.
+function middleSnake(
+  lhs: any[],
+  lhsStart: number,
+  lhsEnd: number,
+  rhs: any[],
+  rhsStart: number,
+  rhsEnd: number,
+  isEqual: (a: any, b: any) => boolean,
+  maxEdits = Infinity
+) {
+  const n = lhsEnd - lhsStart
+  const m = rhsEnd - rhsStart
+  const delta = n - m
+  const odd = (delta & 1) === 1
+  const max = Math.ceil((n + m) / 2)
+  // the search from both ends adds an edit at either end for every round
+  const rounds = Math.min(max, Math.ceil(maxEdits / 2))
+  const offset = max + 1
+  // how far along lhs the furthest reaching path on each diagonal gets, from the start and from the end
+  const forward = new Int32Array(2 * offset + 1)
+  const backward = new Int32Array(2 * offset + 1)
+  for (let d = 0; d <= rounds; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1
+      let y = x - k
+      const startX = x
+      const startY = y
+      while (x < n && y < m && isEqual(lhs[lhsStart + x], rhs[rhsStart + y])) {
+        x++
+        y++
+      }
+      forward[offset + k] = x
+      const reverseK = delta - k
+      if (
+        odd &&
+        reverseK >= -(d - 1) &&
+        reverseK <= d - 1 &&
+        x + backward[offset + reverseK] >= n &&
+        2 * d - 1 <= maxEdits
+      ) {
+        return { endX: x, endY: y, startX, startY }
+      }
+    }
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+          ? backward[offset + k + 1]
+          : backward[offset + k - 1] + 1
+      let y = x - k
+      const startX = x
+      const startY = y
+      while (x < n && y < m && isEqual(lhs[lhsEnd - 1 - x], rhs[rhsEnd - 1 - y])) {
+        x++
+        y++
+      }
+      backward[offset + k] = x
+      const forwardK = delta - k
+      if (!odd && forwardK >= -d && forwardK <= d && forward[offset + forwardK] + x >= n && 2 * d <= maxEdits) {
+        return { endX: n - startX, endY: m - startY, startX: n - x, startY: m - y }
+      }
+    }
+  }
+  return undefined
+}
+
+// Myers' O(ND) algorithm in linear space, returns the [lhsIndex, rhsIndex] pairs of a longest common subsequence, or
+// undefined when turning `lhs` into `rhs` takes more than `maxEdits` removals and insertions. The middle snake splits
+// the arrays in two halves which are compared the same way, a stack rather than recursion holding the halves left to
+// compare.
+export function commonSubsequence(lhs: any[], rhs: any[], isEqual: (a: any, b: any) => boolean): Array<[number, number]>
+export function commonSubsequence(
+  lhs: any[],
+  rhs: any[],
+  isEqual: (a: any, b: any) => boolean,
+  maxEdits: number
+): Array<[number, number]> | undefined
+export function commonSubsequence(lhs: any[], rhs: any[], isEqual: (a: any, b: any) => boolean, maxEdits = Infinity) {
+  const pairs: Array<[number, number]> = []
+  const stack: Array<[number, number, number, number] | [number, number]> = [[0, lhs.length, 0, rhs.length]]
+  let budget = maxEdits
+  while (stack.length) {
+    const work = stack.pop()!
+    if (work.length === 2) {
+      pairs.push(work)
+      continue
+    }
+    let [lhsStart, lhsEnd, rhsStart, rhsEnd] = work
+    const head: Array<[number, number]> = []
+    while (lhsStart < lhsEnd && rhsStart < rhsEnd && isEqual(lhs[lhsStart], rhs[rhsStart])) {
+      head.push([lhsStart++, rhsStart++])
+    }
+    const tail: Array<[number, number]> = []
+    while (lhsEnd > lhsStart && rhsEnd > rhsStart && isEqual(lhs[lhsEnd - 1], rhs[rhsEnd - 1])) {
+      tail.push([--lhsEnd, --rhsEnd])
+    }
+    // the pairs are taken off the stack in reverse
+    pushAll(stack, tail)
+    if (lhsStart < lhsEnd && rhsStart < rhsEnd) {
+      const snake = middleSnake(lhs, lhsStart, lhsEnd, rhs, rhsStart, rhsEnd, isEqual, budget)
+      if (!snake) {
+        return undefined
+      }
+      // the halves take fewer edits than the whole
+      budget = Infinity
+      const middle: Array<[number, number]> = []
+      for (let x = snake.startX, y = snake.startY; x < snake.endX; x++, y++) {
+        middle.push([lhsStart + x, rhsStart + y])
+      }
+      stack.push([lhsStart + snake.endX, lhsEnd, rhsStart + snake.endY, rhsEnd])
+      pushAll(stack, middle.reverse())
+      stack.push([lhsStart, lhsStart + snake.startX, rhsStart, rhsStart + snake.startY])
+    }
+    pushAll(stack, head.reverse())
+  }
+  return pairs
+}
+
+export interface ArrayScript {
+  readonly changes: Change[]
+  readonly pairs: Array<[number, number]>
+}
+
+export interface DiffArraysOptions {
+  /** Compares elements, values other than objects being equal only when they are the same value */
+  readonly isEqual: (a: any, b: any) => boolean
+  /**
+   * Identifies elements, elements with the same key are the same element however much they differ and are never
+   * replaced, elements without one (undefined) are compared with `isEqual`
+   */
+  readonly keyOf?: (item: any) => any
+}
+
+function keysOf(items: any[], keyOf: DiffArraysOptions['keyOf']) {
+  return keyOf ? items.map(keyOf) : []
+}
+
+const FINGERPRINT_SIZE = 64
+
+// A summary of an object that equal objects share: its type, and the keys and the values other than objects nearest its
+// top, so that objects which differ rarely share one
+function fingerprint(value: any) {
+  const parts: string[] = []
+  const queue = [value]
+  for (let i = 0; i < queue.length && parts.length < FINGERPRINT_SIZE; i++) {
+    const current = queue[i]
+    if (current === null || typeof current !== 'object') {
+      parts.push(`${typeof current}:${String(current)}`)
+    } else if (Array.isArray(current) || Object.getPrototypeOf(current) === Object.prototype) {
+      const keys = Object.keys(current).sort()
+      parts.push(`${Array.isArray(current) ? '[' : '{'}${keys.join(',')}`)
+      pushAll(queue, keys.map(key => current[key]))
+    } else {
+      // Maps, Sets and other objects compare in ways their type is all that is safe to go by
+      parts.push(Object.prototype.toString.call(current))
+    }
+  }
+  return parts.join('|')
+}
+
+/**
+ * Numbers the elements of `lhs` and `rhs` so that two are the same element when they have the same number: those with
+ * the same key, or without one those `isEqual` finds equal. Elements are looked up by key, by value or by fingerprint,
+ * so each is only compared with the few elements that may be equal to it.
+ */
+export function elementClasses(
+  lhs: any[],
+  rhs: any[],
+  { isEqual, keyOf }: DiffArraysOptions,
+  lhsKeys = keysOf(lhs, keyOf),
+  rhsKeys = keysOf(rhs, keyOf)
+) {
+  const byKey = new Map<any, number>()
+  const byValue = new Map<any, number>()
+  const byFingerprint = new Map<string, Array<[any, number]>>()
+  let count = 0
+  const classOf = (item: any, key: any) => {
+    const lookup = typeof key !== 'undefined' ? byKey : item === null || typeof item !== 'object' ? byValue : undefined
+    if (lookup) {
+      const found = lookup.get(lookup === byKey ? key : item)
+      if (typeof found !== 'undefined') {
+        return found
+      }
+      lookup.set(lookup === byKey ? key : item, count)
+      return count++
+    }
+    const print = fingerprint(item)
+    const candidates = byFingerprint.get(print)
+    const same = candidates && candidates.find(([candidate]) => isEqual(candidate, item))
+    if (same) {
+      return same[1]
+    }
+    if (candidates) {
+      candidates.push([item, count])
+    } else {
+      byFingerprint.set(print, [[item, count]])
+    }
+    return count++
+  }
+  return { lhs: lhs.map((item, l) => classOf(item, lhsKeys[l])), rhs: rhs.map((item, r) => classOf(item, rhsKeys[r])) }
+}
+
+/**
+ * The [lhsIndex, rhsIndex] pairs of a longest common subsequence of the elements `elementClasses` numbered. Elements
+ * the other side has none of can't be part of it, and are left out before looking for it.
+ */
+export function commonElements(lhs: number[], rhs: number[]) {
+  const inLhs = new Set(lhs)
+  const inRhs = new Set(rhs)
+  const lhsIndices = lhs.map((_, l) => l).filter(l => inRhs.has(lhs[l]))
+  const rhsIndices = rhs.map((_, r) => r).filter(r => inLhs.has(rhs[r]))
+  const pairs = commonSubsequence(lhsIndices.map(l => lhs[l]), rhsIndices.map(r => rhs[r]), (a, b) => a === b)
+  return pairs.map(([l, r]): [number, number] => [lhsIndices[l], rhsIndices[r]])
+}
+
+/**
+ * Compares two arrays as multisets, their order aside: returns the indices of the `lhs` elements `rhs` holds fewer of
+ * and the indices of the `rhs` elements `lhs` holds fewer of
+ */
+export function diffMultisets(lhs: any[], rhs: any[], isEqual: (a: any, b: any) => boolean) {
+  const added = rhs.map((_, r) => r)
+  const removed: number[] = []
+  lhs.forEach((item, l) => {
+    const found = added.findIndex(r => isEqual(item, rhs[r]))
+    if (found < 0) {
+      removed.push(l)
+    } else {
+      added.splice(found, 1)
+    }
+  })
+  return { added, removed }
+}
+
+/**
+ * Builds an edit script turning `lhs` into `rhs` out of real removals, moves and insertions, in that order. Elements
+ * that must still be diffed in place are returned as `pairs` of [lhsIndex, rhsIndex], their changes must be addressed
+ * by the rhs index and applied after the script. Without `keyOf` these are the elements that were replaced between two
+ * unchanged ones, with it every element that kept its key.
+ */
+export function diffArrays(path: any[], lhs: any[], rhs: any[], options: DiffArraysOptions): ArrayScript {
+  const { keyOf } = options
+  const lhsKeys = keysOf(lhs, keyOf)
+  const rhsKeys = keysOf(rhs, keyOf)
+  const classes = elementClasses(lhs, rhs, options, lhsKeys, rhsKeys)
+
+  const common = commonElements(classes.lhs, classes.rhs)
+  const destination = new Map<number, number>()
+  const matchedRhs = new Set<number>()
+  for (const [l, r] of common) {
+    destination.set(l, r)
+    matchedRhs.add(r)
+  }
+
+  // anything left over that is the same as an element on the other side has only moved
+  const leftOver = new Map<number, number[]>()
+  for (let l = 0; l < lhs.length; l++) {
+    if (!destination.has(l)) {
+      const same = leftOver.get(classes.lhs[l])
+      if (same) {
+        same.push(l)
+      } else {
+        leftOver.set(classes.lhs[l], [l])
+      }
+    }
+  }
+  const moves: Array<[number, number]> = []
+  for (let r = 0; r < rhs.length; r++) {
+    const same = matchedRhs.has(r) ? undefined : leftOver.get(classes.rhs[r])
+    if (same && same.length) {
+      const l = same.shift()!
+      moves.push([l, r])
+      destination.set(l, r)
+      matchedRhs.add(r)
+    }
+  }
+  const removed: number[] = []
+  for (let l = 0; l < lhs.length; l++) {
+    if (!destination.has(l)) {
+      removed.push(l)
+    }
+  }
+
+  const pairs: Array<[number, number]> = []
+  if (keyOf) {
+    for (const [l, r] of common.concat(moves)) {
+      if (typeof rhsKeys[r] !== 'undefined') {
+        pairs.push([l, r])
+      }
+    }
+    pairs.sort((a, b) => a[1] - b[1])
+  } else {
+    // what remains between two anchors of the subsequence was replaced, pair it up positionally
+    const anchors = common.concat([[lhs.length, rhs.length]])
+    let lastL = -1
+    let lastR = -1
+    let next = 0
+    for (const [anchorL, anchorR] of anchors) {
+      // the removed elements are in order, those before the anchor are the ones of its gap
+      const gapL: number[] = []
+      while (next < removed.length && removed[next] < anchorL) {
+        if (removed[next] > lastL) {
+          gapL.push(removed[next])
+        }
+        next++
+      }
+      const gapR: number[] = []
+      for (let r = lastR + 1; r < anchorR; r++) {
+        if (!matchedRhs.has(r)) {
+          gapR.push(r)
+        }
+      }
+      for (let i = 0; i < gapL.length && i < gapR.length; i++) {
+        pairs.push([gapL[i], gapR[i]])
+        destination.set(gapL[i], gapR[i])
+        matchedRhs.add(gapR[i])
+      }
+      lastL = anchorL
+      lastR = anchorR
+    }
+  }
+
+  const changes: Change[] = []
+  for (let l = lhs.length - 1; l >= 0; l--) {
+    if (!destination.has(l)) {
+      changes.push(new ArrayDiff(path, l, new DeleteDiff(undefined, lhs[l]), lhsKeys[l]))
+    }
+  }
+
+  const placed = new Set<number>()
+  const order = lhs.map((_, l) => l).filter(l => destination.has(l))
+  const isMoved = new Set(moves.map(([l]) => l))
+  moves.sort((a, b) => a[1] - b[1])
+  for (const [l, r] of moves) {
+    const from = order.indexOf(l)
+    order.splice(from, 1)
+    let to = 0
+    for (let i = order.length - 1; i >= 0; i--) {
+      const token = order[i]
+      if ((!isMoved.has(token) || placed.has(token)) && destination.get(token)! < r) {
+        to = i + 1
+        break
+      }
+    }
+    order.splice(to, 0, l)
+    placed.add(l)
+    if (from !== to) {
+      changes.push(new MoveDiff(path, from, to, lhsKeys[l]))
+    }
+  }
+
+  for (let r = 0; r < rhs.length; r++) {
+    if (!matchedRhs.has(r)) {
+      changes.push(new ArrayDiff(path, r, new NewDiff(undefined, rhs[r]), rhsKeys[r]))
+    }
+  }
+  return { changes, pairs }
+}
@@ -0,0 +1,91 @@
+const expect = require('expect.js')
+const { diff, diffAsync, diffIterator, DiffAbortError } = require('.')
+
+describe('Incremental diffs', function () {
+  const lhs = { a: 1, b: { c: [1, 2, 3], d: 'x' }, e: true }
+  const rhs = { a: 2, b: { c: [1, 2], d: 'y' }, f: false }
+
+  function wide(size, offset) {
+    const value = {}
+    for (let i = 0; i < size; i++) {
+      value['key' + i] = i + offset
+    }
+    return value
+  }
+
+  describe('diffIterator', function () {
+    it('yields the changes diff returns, in the same order', function () {
+      expect(Array.from(diffIterator(lhs, rhs))).to.eql(diff(lhs, rhs))
+      expect(Array.from(diffIterator(lhs, lhs))).to.eql([])
+      const options = {
+        exclude: ['/b/c'],
+        objectHash: function (item) {
+          return item
+        },
+      }
+      expect(Array.from(diffIterator(lhs, rhs, options))).to.eql(diff(lhs, rhs, options))
+    })
+
+    it('only diffs as far as the changes are consumed', function () {
+      const visited = []
+      const prefilter = function (path, key) {
+        visited.push(key)
+      }
+      const iterator = diffIterator(lhs, rhs, prefilter)
+      expect(visited).to.eql([])
+      expect(iterator.next().value).to.eql({ kind: 'E', path: ['a'], lhs: 1, rhs: 2 })
+      expect(visited).to.eql(['a'])
+    })
+  })
+
+  describe('diffAsync', function () {
+    it('resolves to the changes diff returns', function () {
+      return diffAsync(lhs, rhs).then(function (result) {
+        expect(result).to.eql({ changes: diff(lhs, rhs), truncated: false })
+        return diffAsync(lhs, lhs)
+      }).then(function (result) {
+        expect(result).to.eql({ changes: null, truncated: false })
+      })
+    })
+
+    it('gives way to other tasks', function () {
+      let ticks = 0
+      const timer = setInterval(function () {
+        ticks++
+      }, 0)
+      return diffAsync(wide(50000, 0), wide(50000, 1), { slice: 1 }).then(function (result) {
+        clearInterval(timer)
+        expect(result.changes).to.have.length(50000)
+        expect(ticks).to.be.above(0)
+      })
+    })
+
+    it('stops at maxChanges', function () {
+      return diffAsync(wide(100, 0), wide(100, 1), { maxChanges: 10 }).then(function (result) {
+        expect(result.truncated).to.be(true)
+        expect(result.changes).to.eql(diff(wide(100, 0), wide(100, 1)).slice(0, 10))
+        return diffAsync(wide(10, 0), wide(10, 1), { maxChanges: 10 })
+      }).then(function (result) {
+        expect(result.truncated).to.be(false)
+        expect(result.changes).to.have.length(10)
+      })
+    })
+
+    it('rejects when aborted', function () {
+      const controller = new AbortController()
+      const pending = diffAsync(wide(50000, 0), wide(50000, 1), { signal: controller.signal, slice: 1 })
+      setTimeout(function () {
+        controller.abort()
+      }, 0)
+      return pending.then(
+        function () {
+          throw new Error('expected the diff to be aborted')
+        },
+        function (error) {
+          expect(error).to.be.a(DiffAbortError)
+          expect(error.name).to.be('AbortError')
+        }
+      )
+    })
+  })
+})
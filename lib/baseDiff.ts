@@ -0,0 +1,12 @@
+export abstract class BaseDiff {
+  readonly kind: string
+  readonly path: any[] | undefined
+  constructor(path: any[] | undefined) {
+    if (path) {
+      if (Array.isArray(path) && !path.length) {
+        return
+      }
+      this.path = path
+    }
+  }
+}
@@ -0,0 +1,93 @@
+export interface ByteRange {
+  /** The offset of the replaced elements */
+  readonly index: number
+  readonly lhs: any[]
+  readonly rhs: any[]
+}
+
+// Differing elements closer than this are recorded in one range, as a range costs more than a few elements
+const GAP = 8
+
+/** Whether `subject` is a typed array, Buffers included */
+export function isTypedArray(subject: any) {
+  return ArrayBuffer.isView(subject) && !(subject instanceof DataView)
+}
+
+function same(a: any, b: any) {
+  return a === b || (a !== a && b !== b)
+}
+
+function slice(array: any, start: number, end: number) {
+  return Array.from(array.subarray(start, end))
+}
+
+/**
+ * Finds the ranges of elements that differ between two typed arrays of the same type: the runs of differing elements
+ * when both are as long, otherwise the one range between what they start and end with
+ */
+export function diffBytes(lhs: any, rhs: any): ByteRange[] {
+  if (lhs.length !== rhs.length) {
+    let start = 0
+    while (start < lhs.length && start < rhs.length && same(lhs[start], rhs[start])) {
+      start++
+    }
+    let end = 0
+    while (
+      end < lhs.length - start &&
+      end < rhs.length - start &&
+      same(lhs[lhs.length - 1 - end], rhs[rhs.length - 1 - end])
+    ) {
+      end++
+    }
+    return [{ index: start, lhs: slice(lhs, start, lhs.length - end), rhs: slice(rhs, start, rhs.length - end) }]
+  }
+  const ranges: ByteRange[] = []
+  let i = 0
+  while (i < lhs.length) {
+    if (same(lhs[i], rhs[i])) {
+      i++
+      continue
+    }
+    const start = i
+    let end = i + 1
+    for (i = end; i < lhs.length && i - end < GAP; i++) {
+      if (!same(lhs[i], rhs[i])) {
+        end = i + 1
+      }
+    }
+    i = end
+    ranges.push({ index: start, lhs: slice(lhs, start, end), rhs: slice(rhs, start, end) })
+  }
+  return ranges
+}
+
+/** Whether `array` holds the elements a range replaces, or when reverting the elements it puts in their place */
+export function matchesBytes(array: any, { index, lhs, rhs }: ByteRange, reverting: boolean) {
+  const find = reverting ? rhs : lhs
+  return (
+    isTypedArray(array) && index + find.length <= array.length && find.every((item, i) => same(array[index + i], item))
+  )
+}
+
+/**
+ * Replaces a range of elements of a typed array, or puts back what it replaced. The result is a new typed array of
+ * the same type, as Buffers cloned by slicing still share their memory with the original.
+ */
+export function patchBytes(array: any, { index, lhs, rhs }: ByteRange, reverting: boolean) {
+  if (!isTypedArray(array)) {
+    throw new TypeError(`Cannot patch ${typeof array}, a typed array is expected`)
+  }
+  const find = reverting ? rhs : lhs
+  const put = reverting ? lhs : rhs
+  if (index + find.length > array.length) {
+    throw new RangeError(`Cannot replace ${find.length} elements at offset ${index} of ${array.length}`)
+  }
+  const length = array.length - find.length + put.length
+  // Buffers are allocated with `Buffer.alloc`, their constructor being deprecated
+  const type = array.constructor
+  const result = typeof type.alloc === 'function' ? type.alloc(length) : new type(length)
+  result.set(array.subarray(0, index), 0)
+  result.set(put, index)
+  result.set(array.subarray(index + find.length), index + put.length)
+  return result
+}
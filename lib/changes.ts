@@ -0,0 +1,89 @@
+import { BaseDiff } from './baseDiff'
+import { BytesDiff, TextDiff } from './rangeChanges'
+
+export { BytesDiff, TextDiff } from './rangeChanges'
+
+export class EditDiff extends BaseDiff {
+  readonly kind = 'E'
+  readonly lhs: any
+  readonly rhs: any
+  constructor(path: any[] | undefined, origin: any, value: any) {
+    super(path)
+    this.lhs = origin
+    this.rhs = value
+  }
+}
+
+export class NewDiff extends BaseDiff {
+  readonly kind = 'N'
+  readonly rhs: any
+  constructor(path: any[] | undefined, value: any) {
+    super(path)
+    this.rhs = value
+  }
+}
+
+export class DeleteDiff extends BaseDiff {
+  readonly kind = 'D'
+  readonly lhs: any
+  constructor(path: any[] | undefined, origin: any) {
+    super(path)
+    this.lhs = origin
+  }
+}
+
+export class ArrayDiff extends BaseDiff {
+  readonly index: number
+  readonly item: any
+  readonly key?: any
+  readonly kind = 'A'
+  /** Set on the additions and removals of members of arrays compared as multisets, which find their member by value */
+  readonly unordered?: boolean
+  constructor(path: any[] | undefined, index: number, item: any, key?: any, unordered?: boolean) {
+    super(path)
+    this.index = index
+    this.item = item
+    if (typeof key !== 'undefined') {
+      this.key = key
+    }
+    if (unordered) {
+      this.unordered = true
+    }
+  }
+}
+
+export class MoveDiff extends BaseDiff {
+  readonly from: number
+  readonly key?: any
+  readonly kind = 'M'
+  readonly to: number
+  constructor(path: any[] | undefined, from: number, to: number, key?: any) {
+    super(path)
+    this.from = from
+    this.to = to
+    if (typeof key !== 'undefined') {
+      this.key = key
+    }
+  }
+}
+
+export type Change = EditDiff | NewDiff | DeleteDiff | ArrayDiff | MoveDiff | TextDiff | BytesDiff
+
+export function withPath(change: Change, path: any[] | undefined): Change {
+  switch (change.kind) {
+    case 'A':
+      return new ArrayDiff(path, change.index, change.item, change.key, change.unordered)
+    case 'B':
+      return new BytesDiff(path, change.index, change.lhs, change.rhs)
+    case 'D':
+      return new DeleteDiff(path, change.lhs)
+    case 'E':
+      return new EditDiff(path, change.lhs, change.rhs)
+    case 'M':
+      return new MoveDiff(path, change.from, change.to, change.key)
+    case 'N':
+      return new NewDiff(path, change.rhs)
+    case 'T':
+      return new TextDiff(path, change.hunks)
+  }
+}
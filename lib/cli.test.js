@@ -0,0 +1,232 @@
+const expect = require('expect.js')
+const { diff, serializeChanges } = require('.')
+const { main } = require('./cli')
+
+describe('Command line', function () {
+  const files = {
+    'lhs.json': JSON.stringify({ name: 'a', tags: ['x'], meta: { updatedAt: 1 } }),
+    'rhs.json': JSON.stringify({ name: 'b', tags: ['x', 'y'], meta: { updatedAt: 2 } }),
+    'same.json': JSON.stringify({ name: 'a', tags: ['x'], meta: { updatedAt: 1 } }),
+    'bad.json': '{ name',
+  }
+
+  function run(argv, stdin) {
+    const io = {
+      stderr: '',
+      stdout: '',
+      readFile: function (path) {
+        if (!(path in files)) {
+          throw new Error(`ENOENT: no such file or directory, open '${path}'`)
+        }
+        return files[path]
+      },
+      readStdin: function () {
+        return Promise.resolve(stdin)
+      },
+    }
+    const output = {
+      readFile: io.readFile,
+      readStdin: io.readStdin,
+      stderr: function (text) {
+        io.stderr += text
+      },
+      stdout: function (text) {
+        io.stdout += text
+      },
+    }
+    return main(argv, output).then(function (code) {
+      return { code: code, stderr: io.stderr, stdout: io.stdout }
+    })
+  }
+
+  it('prints change records and exits with 1 when documents differ', function () {
+    return run(['diff', 'lhs.json', 'rhs.json']).then(function ({ code, stdout }) {
+      expect(code).to.be(1)
+      expect(JSON.parse(stdout)).to.eql([
+        { kind: 'E', path: ['name'], lhs: 'a', rhs: 'b' },
+        { kind: 'A', path: ['tags'], index: 1, item: { kind: 'N', rhs: 'y' } },
+        { kind: 'E', path: ['meta', 'updatedAt'], lhs: 1, rhs: 2 },
+      ])
+      expect(stdout).to.contain('\n  {')
+    })
+  })
+
+  it('exits with 0 when documents are the same', function () {
+    return run(['diff', 'lhs.json', 'same.json', '--quiet']).then(function ({ code, stdout }) {
+      expect(code).to.be(0)
+      expect(stdout).to.be('')
+    })
+  })
+
+  it('filters paths and prints JSON Patch or text', function () {
+    const argv = ['diff', 'lhs.json', 'rhs.json', '--exclude', '**/updatedAt', '--ignore=/tags', '-f', 'jsonpatch']
+    return run(argv)
+      .then(function ({ code, stdout }) {
+        expect(code).to.be(1)
+        expect(JSON.parse(stdout)).to.eql([{ op: 'replace', path: '/name', value: 'b' }])
+        return run(['diff', 'lhs.json', 'rhs.json', '--include', '/name', '--format', 'text'])
+      })
+      .then(function ({ stdout }) {
+        expect(stdout).to.contain('~   "name": "a" → "b"')
+        expect(stdout).not.to.contain('updatedAt": 1 →')
+      })
+  })
+
+  it('reads a document from stdin', function () {
+    return run(['diff', '-', 'rhs.json', '-q'], files['rhs.json']).then(function ({ code }) {
+      expect(code).to.be(0)
+    })
+  })
+
+  it('applies and reverts change records', function () {
+    return run(['diff', 'lhs.json', 'rhs.json'])
+      .then(function ({ stdout }) {
+        files['changes.json'] = stdout
+        return run(['apply', 'lhs.json', 'changes.json', '--strict'])
+      })
+      .then(function ({ code, stdout }) {
+        expect(code).to.be(0)
+        expect(JSON.parse(stdout)).to.eql(JSON.parse(files['rhs.json']))
+        return run(['revert', '-', 'changes.json'], stdout)
+      })
+      .then(function ({ code, stdout }) {
+        expect(code).to.be(0)
+        expect(JSON.parse(stdout)).to.eql(JSON.parse(files['lhs.json']))
+      })
+  })
+
+  it('applies and reverts changes to the whole document', function () {
+    files['object.json'] = JSON.stringify({ name: 'a' })
+    files['list.json'] = JSON.stringify(['a'])
+    return run(['diff', 'object.json', 'list.json'])
+      .then(function ({ code, stdout }) {
+        expect(code).to.be(1)
+        expect(JSON.parse(stdout)).to.eql([{ kind: 'E', lhs: { name: 'a' }, rhs: ['a'] }])
+        files['root.json'] = stdout
+        return run(['apply', 'object.json', 'root.json', '--strict', '--indent', '0'])
+      })
+      .then(function ({ code, stdout }) {
+        expect(code).to.be(0)
+        expect(stdout).to.be('["a"]\n')
+        return run(['revert', '-', 'root.json', '--indent', '0'], stdout)
+      })
+      .then(function ({ code, stdout }) {
+        expect(code).to.be(0)
+        expect(stdout).to.be('{"name":"a"}\n')
+        return run(['apply', 'list.json', 'root.json', '--strict'])
+      })
+      .then(function ({ code, stderr }) {
+        expect(code).to.be(1)
+        expect(stderr).to.contain('Changes do not apply at (root)')
+      })
+  })
+
+  it('refuses changes to the whole document holding keys that reach prototypes', function () {
+    files['polluting.json'] = '[{ "kind": "E", "lhs": {}, "rhs": { "__proto__": { "polluted": true } } }]'
+    files['polluting-patch.json'] = '[{ "op": "replace", "path": "", "value": { "__proto__": { "polluted": true } } }]'
+    files['empty.json'] = '{}'
+    return Promise.all([
+      run(['apply', 'empty.json', 'polluting.json']),
+      run(['revert', 'empty.json', 'polluting.json']),
+      run(['apply', 'empty.json', 'polluting-patch.json']),
+    ]).then(function (results) {
+      results.forEach(function ({ code, stdout, stderr }) {
+        expect(code).to.be(2)
+        expect(stdout).to.be('')
+        expect(stderr).to.contain('at __proto__ is refused: its value holds a key reaching object prototypes')
+      })
+      expect({}.polluted).to.be(undefined)
+    })
+  })
+
+  it('applies JSON Patches to the whole document it prints', function () {
+    files['number.json'] = '1'
+    files['string.json'] = '"one"'
+    return run(['diff', 'number.json', 'string.json', '-f', 'jsonpatch']).then(function ({ code, stdout }) {
+      expect(code).to.be(1)
+      expect(JSON.parse(stdout)).to.eql([{ op: 'replace', path: '', value: 'one' }])
+      return run(['apply', 'number.json', '-'], stdout).then(function ({ code, stdout }) {
+        expect(code).to.be(0)
+        expect(stdout).to.be('"one"\n')
+      })
+    })
+  })
+
+  it('applies serialized changes and checks change records', function () {
+    files['serialized.json'] = serializeChanges(diff({ name: 'a' }, { name: 'b' }))
+    files['invalid.json'] = JSON.stringify([{ kind: 'A', path: ['tags'], index: 0 }])
+    return run(['apply', 'lhs.json', 'serialized.json', '--strict'])
+      .then(function ({ code, stdout }) {
+        expect(code).to.be(0)
+        expect(JSON.parse(stdout).name).to.be('b')
+        return run(['apply', 'lhs.json', 'invalid.json'])
+      })
+      .then(function ({ code, stderr }) {
+        expect(code).to.be(2)
+        expect(stderr).to.be('yajsondiff: Change 0 is invalid: item is missing\n')
+      })
+  })
+
+  it('applies JSON Patch operations', function () {
+    files['patch.json'] = JSON.stringify([{ op: 'add', path: '/tags/-', value: 'z' }])
+    return run(['apply', 'lhs.json', 'patch.json', '--indent', '0'])
+      .then(function ({ code, stdout }) {
+        expect(code).to.be(0)
+        expect(stdout).to.be('{"name":"a","tags":["x","z"],"meta":{"updatedAt":1}}\n')
+        return run(['revert', 'lhs.json', 'patch.json'])
+      })
+      .then(function ({ code, stderr }) {
+        expect(code).to.be(2)
+        expect(stderr).to.contain("A JSON Patch can't be reverted")
+      })
+  })
+
+  it('exits with 1 when changes conflict in strict mode', function () {
+    files['conflict.json'] = JSON.stringify([{ kind: 'E', path: ['name'], lhs: 'z', rhs: 'b' }])
+    return run(['apply', 'lhs.json', 'conflict.json', '--strict']).then(function ({ code, stdout, stderr }) {
+      expect(code).to.be(1)
+      expect(stdout).to.be('')
+      expect(stderr).to.contain('Changes do not apply at name')
+    })
+  })
+
+  it('exits with 1 when a test of a JSON Patch fails', function () {
+    files['test.json'] = JSON.stringify([
+      { op: 'test', path: '/name', value: 'z' },
+      { op: 'replace', path: '/name', value: 'b' },
+    ])
+    return run(['apply', 'lhs.json', 'test.json']).then(function ({ code, stdout, stderr }) {
+      expect(code).to.be(1)
+      expect(stdout).to.be('')
+      expect(stderr).to.be('Test failed at /name\n')
+    })
+  })
+
+  it('exits with 2 on errors and bad usage', function () {
+    return Promise.all([
+      run(['diff', 'lhs.json', 'bad.json']),
+      run(['diff', 'lhs.json', 'missing.json']),
+      run(['diff', '-', '-']),
+      run(['diff', 'lhs.json']),
+      run(['merge', 'lhs.json', 'rhs.json']),
+      run(['diff', 'lhs.json', 'rhs.json', '--format', 'xml']),
+      run(['diff', 'lhs.json', 'rhs.json', '--arrays']),
+    ]).then(function (results) {
+      expect(results.map(function ({ code }) { return code })).to.eql([2, 2, 2, 2, 2, 2, 2])
+      expect(results[0].stderr).to.contain('yajsondiff: bad.json is not valid JSON')
+      expect(results[1].stderr).to.contain('ENOENT')
+      expect(results[2].stderr).to.contain('Only one file can be read from stdin')
+      expect(results[3].stderr).to.contain('diff takes two files\n\nUsage:')
+      expect(results[4].stderr).to.contain('Unknown command merge')
+      expect(results[5].stderr).to.contain('Unknown format xml')
+      expect(results[6].stderr).to.contain('--arrays needs a value')
+    })
+  })
+
+  it('prints its usage', function () {
+    return run(['--help']).then(function ({ code, stdout }) {
+      expect(code).to.be(0)
+      expect(stdout).to.contain('yajsondiff diff <lhs.json> <rhs.json>')
+    })
+  })
+})
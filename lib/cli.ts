@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+import { readFileSync } from 'fs'
+import { applyChanges, revertChanges } from './apply'
+import { Change } from './changes'
+import { diff, DiffOptions } from './diff'
+import { PatchConflictError } from './errors'
+import { formatAnsi, formatText } from './format'
+import { fromJsonPatch, JsonPatchOperation, PatchTestError, toJsonPatch } from './jsonPatch'
+import { parseChanges, validateChanges } from './serialize'
+
+/** Where the command line tool reads its input and writes its output */
+export interface CliIO {
+  readFile(path: string): string
+  readStdin(): Promise<string>
+  stderr(text: string): void
+  stdout(text: string): void
+}
+
+const USAGE = `Usage:
+  yajsondiff diff <lhs.json> <rhs.json> [options]    prints the differences between two documents
+  yajsondiff apply <doc.json> <patch.json> [options] prints a document with changes applied
+  yajsondiff revert <doc.json> <patch.json> [options] prints a document with changes reverted
+
+A file named - is read from stdin. Patches are lists of change records, serialized changes or JSON Patch operations.
+
+Options:
+  -f, --format <native|jsonpatch|text>  how diff prints the differences (native change records by default)
+  --color                                colors text differences for terminals
+  --include <pattern>                    only diffs the paths matching a pattern such as /users/*/name
+  --exclude, --ignore <pattern>          leaves out the paths matching a pattern such as **/updatedAt
+  --arrays <index|lcs|unordered>         how diff compares arrays
+  --strict                               fails when changes don't find what they expect
+  --indent <n>                           indents JSON output by n spaces (2 by default)
+  -q, --quiet                            prints nothing, the exit code telling the outcome
+  -h, --help                             prints this help
+
+Exit codes: 0 when the documents are the same or the changes were applied, 1 when they differ, the changes
+conflict or a JSON Patch test fails, 2 on errors.`
+
+// The exit codes, as diff(1) has them
+const SAME = 0
+const DIFFERENT = 1
+const TROUBLE = 2
+
+class UsageError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'UsageError'
+  }
+}
+
+interface Args {
+  readonly arrays?: DiffOptions['arrays']
+  readonly color: boolean
+  readonly command?: string
+  readonly exclude: string[]
+  readonly files: string[]
+  readonly format: string
+  readonly help: boolean
+  readonly include: string[]
+  readonly indent: number
+  readonly quiet: boolean
+  readonly strict: boolean
+}
+
+const FLAGS = ['--color', '--help', '--quiet', '--strict', '-h', '-q']
+
+const OPTIONS = ['--arrays', '--exclude', '--format', '--ignore', '--include', '--indent', '-f']
+
+const ALIASES: { [option: string]: string } = { '--ignore': '--exclude', '-f': '--format' }
+
+function parseArgs(argv: string[]): Args {
+  const flags = new Set<string>()
+  const values: { [option: string]: string[] } = {}
+  const positional: string[] = []
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    const [name, inline] = arg.startsWith('--') && arg.indexOf('=') > 0 ? arg.split(/=(.*)/) : [arg, undefined]
+    if (FLAGS.indexOf(name) >= 0 && typeof inline === 'undefined') {
+      flags.add(name)
+    } else if (OPTIONS.indexOf(name) >= 0) {
+      const value = typeof inline === 'undefined' ? argv[++i] : inline
+      if (typeof value === 'undefined') {
+        throw new UsageError(`${name} needs a value`)
+      }
+      const option = ALIASES[name] || name
+      values[option] = (values[option] || []).concat(value)
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new UsageError(`Unknown option ${arg}`)
+    } else {
+      positional.push(arg)
+    }
+  }
+  const last = (option: string) => (values[option] || [])[(values[option] || []).length - 1]
+  const format = last('--format') || 'native'
+  if (['native', 'jsonpatch', 'text'].indexOf(format) < 0) {
+    throw new UsageError(`Unknown format ${format}`)
+  }
+  const arrays = last('--arrays') as Args['arrays']
+  if (arrays && ['index', 'lcs', 'unordered'].indexOf(arrays) < 0) {
+    throw new UsageError(`Unknown way of comparing arrays ${arrays}`)
+  }
+  const indent = Number(last('--indent') || 2)
+  if (!(indent >= 0)) {
+    throw new UsageError('--indent needs a number')
+  }
+  return {
+    arrays,
+    color: flags.has('--color'),
+    command: positional[0],
+    exclude: values['--exclude'] || [],
+    files: positional.slice(1),
+    format,
+    help: flags.has('--help') || flags.has('-h'),
+    include: values['--include'] || [],
+    indent,
+    quiet: flags.has('--quiet') || flags.has('-q'),
+    strict: flags.has('--strict'),
+  }
+}
+
+async function readJson(file: string, io: CliIO) {
+  const text = file === '-' ? await io.readStdin() : io.readFile(file)
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    throw new Error(`${file === '-' ? 'stdin' : file} is not valid JSON: ${e.message}`)
+  }
+}
+
+// Reads the two documents a command works on, at most one of them from stdin
+async function readFiles({ command, files }: Args, io: CliIO) {
+  if (files.length !== 2) {
+    throw new UsageError(`${command} takes two files`)
+  }
+  if (files[0] === '-' && files[1] === '-') {
+    throw new UsageError('Only one file can be read from stdin')
+  }
+  return [await readJson(files[0], io), await readJson(files[1], io)]
+}
+
+function isJsonPatch(patch: any[]): patch is JsonPatchOperation[] {
+  return patch.length > 0 && patch.every(operation => operation && typeof operation.op === 'string')
+}
+
+// Change records, read from serialized changes or converted from JSON Patch operations checked against the document
+function toChanges(patch: any, doc: any, reverting: boolean): Change[] {
+  if (patch && patch.format === 'yajsondiff') {
+    return parseChanges(patch)
+  }
+  if (!Array.isArray(patch)) {
+    patch = [patch]
+  }
+  if (!isJsonPatch(patch)) {
+    return validateChanges(patch)
+  }
+  if (reverting) {
+    throw new Error("A JSON Patch can't be reverted without the document it applied to, revert change records instead")
+  }
+  return fromJsonPatch(patch, doc)
+}
+
+async function runDiff(args: Args, io: CliIO) {
+  const [lhs, rhs] = await readFiles(args, io)
+  const changes = diff(lhs, rhs, {
+    arrays: args.arrays,
+    exclude: args.exclude.length ? args.exclude : undefined,
+    include: args.include.length ? args.include : undefined,
+  })
+  if (!args.quiet) {
+    if (args.format === 'text') {
+      io.stdout(`${(args.color ? formatAnsi : formatText)(changes, lhs)}\n`)
+    } else {
+      const output = args.format === 'jsonpatch' ? toJsonPatch(changes) : changes || []
+      io.stdout(`${JSON.stringify(output, null, args.indent)}\n`)
+    }
+  }
+  return changes ? DIFFERENT : SAME
+}
+
+async function runPatch(args: Args, io: CliIO, reverting: boolean) {
+  const [doc, patch] = await readFiles(args, io)
+  const options = { strict: args.strict }
+  let result
+  try {
+    // a JSON Patch `test` is checked as the patch is read, failing like a conflict does
+    const changes = toChanges(patch, doc, reverting)
+    result = reverting ? revertChanges(doc, changes, options) : applyChanges(doc, changes, options)
+  } catch (e) {
+    if (!(e instanceof PatchConflictError || e instanceof PatchTestError)) {
+      throw e
+    }
+    if (!args.quiet) {
+      io.stderr(`${e.message}\n`)
+    }
+    return DIFFERENT
+  }
+  if (!args.quiet) {
+    io.stdout(`${JSON.stringify(result, null, args.indent)}\n`)
+  }
+  return SAME
+}
+
+const nodeIO: CliIO = {
+  readFile: path => readFileSync(path, 'utf8'),
+  readStdin: () =>
+    new Promise((resolve, reject) => {
+      const chunks: string[] = []
+      process.stdin.setEncoding('utf8')
+      process.stdin.on('data', chunk => chunks.push(chunk as string))
+      process.stdin.on('end', () => resolve(chunks.join('')))
+      process.stdin.on('error', reject)
+    }),
+  stderr: text => process.stderr.write(text),
+  stdout: text => process.stdout.write(text),
+}
+
+/** Runs the command line tool, resolving to its exit code */
+export async function main(argv: string[], io: CliIO = nodeIO): Promise<number> {
+  try {
+    const args = parseArgs(argv)
+    if (args.help) {
+      io.stdout(`${USAGE}\n`)
+      return SAME
+    }
+    switch (args.command) {
+      case 'diff':
+        return await runDiff(args, io)
+      case 'apply':
+        return await runPatch(args, io, false)
+      case 'revert':
+        return await runPatch(args, io, true)
+      default:
+        throw new UsageError(args.command ? `Unknown command ${args.command}` : 'A command is needed')
+    }
+  } catch (e) {
+    io.stderr(e instanceof UsageError ? `${e.message}\n\n${USAGE}\n` : `yajsondiff: ${e.message}\n`)
+    return TROUBLE
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code
+  })
+}
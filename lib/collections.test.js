@@ -0,0 +1,131 @@
+const expect = require('expect.js')
+const { diff, applyChanges, revertChanges, invertChanges, toJsonPatch, formatText } = require('.')
+
+describe('Maps, Sets and typed arrays', function () {
+  describe('Maps', function () {
+    const key = { id: 1 }
+    const lhs = { map: new Map([['a', 1], [1, 'one'], [key, { v: 1 }]]) }
+    const rhs = { map: new Map([['a', 2], ['1', 'string one'], [key, { v: 2 }]]) }
+
+    it('diffs entries by their key, whatever its type', function () {
+      expect(diff(lhs, rhs)).to.eql([
+        { kind: 'E', path: ['map', 'a'], lhs: 1, rhs: 2 },
+        { kind: 'D', path: ['map', 1], lhs: 'one' },
+        { kind: 'E', path: ['map', key, 'v'], lhs: 1, rhs: 2 },
+        { kind: 'N', path: ['map', '1'], rhs: 'string one' },
+      ])
+      expect(diff(lhs, rhs)[2].path[1]).to.be(key)
+    })
+
+    it('applies and reverts changes to entries', function () {
+      const changes = diff(lhs, rhs)
+      const result = applyChanges(lhs, changes, { strict: true })
+      expect(Array.from(result.map)).to.eql([['a', 2], [key, { v: 2 }], ['1', 'string one']])
+      expect(diff(revertChanges(rhs, changes, { strict: true }), lhs)).to.be(null)
+      expect(diff(applyChanges(rhs, invertChanges(changes)), lhs)).to.be(null)
+      expect(Array.from(lhs.map)).to.eql([['a', 1], [1, 'one'], [key, { v: 1 }]])
+    })
+
+    it('matches object keys by value', function () {
+      const changes = diff({ map: new Map([[{ x: 1 }, 'a']]) }, { map: new Map([[{ x: 1 }, 'b']]) })
+      expect(changes).to.eql([{ kind: 'E', path: ['map', { x: 1 }], lhs: 'a', rhs: 'b' }])
+      const result = applyChanges({ map: new Map([[{ x: 1 }, 'a']]) }, changes)
+      expect(Array.from(result.map)).to.eql([[{ x: 1 }, 'b']])
+    })
+
+    it('tells Maps apart from objects', function () {
+      expect(diff({ a: new Map() }, { a: {} })).to.eql([{ kind: 'E', path: ['a'], lhs: new Map(), rhs: {} }])
+      expect(diff(new Map([['a', 1]]), new Map([['a', 1]]))).to.be(null)
+    })
+  })
+
+  describe('Sets', function () {
+    it('records members added and deleted', function () {
+      const lhs = { tags: new Set(['x', 'y', { o: 1 }]) }
+      const rhs = { tags: new Set(['y', { o: 1 }, 'z']) }
+      const changes = diff(lhs, rhs)
+      expect(changes).to.eql([
+        { kind: 'D', path: ['tags', 'x'], lhs: 'x' },
+        { kind: 'N', path: ['tags', 'z'], rhs: 'z' },
+      ])
+      expect(Array.from(applyChanges(lhs, changes, { strict: true }).tags)).to.eql(['y', { o: 1 }, 'z'])
+      expect(Array.from(revertChanges(rhs, changes, { strict: true }).tags)).to.eql(['y', { o: 1 }, 'x'])
+    })
+
+    it('finds object members by value', function () {
+      const changes = diff({ s: new Set([{ o: 1 }, { o: 2 }]) }, { s: new Set([{ o: 2 }]) })
+      expect(changes).to.eql([{ kind: 'D', path: ['s', { o: 1 }], lhs: { o: 1 } }])
+      expect(Array.from(applyChanges({ s: new Set([{ o: 1 }, { o: 2 }]) }, changes).s)).to.eql([{ o: 2 }])
+    })
+  })
+
+  describe('typed arrays', function () {
+    const lhs = { data: Buffer.from([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]) }
+    const rhs = { data: Buffer.from([1, 2, 0, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 0, 16]) }
+
+    it('records the ranges of elements that changed', function () {
+      expect(diff(lhs, rhs)).to.eql([
+        { kind: 'B', path: ['data'], index: 2, lhs: [3], rhs: [0] },
+        { kind: 'B', path: ['data'], index: 14, lhs: [15], rhs: [0] },
+      ])
+      expect(diff({ a: new Uint8Array([1, 2, 3, 4]) }, { a: new Uint8Array([1, 9, 9, 4]) })).to.eql([
+        { kind: 'B', path: ['a'], index: 1, lhs: [2, 3], rhs: [9, 9] },
+      ])
+    })
+
+    it('records one range between arrays of different lengths', function () {
+      const changes = diff({ a: new Float32Array([1, 2, 3]) }, { a: new Float32Array([1, 5, 6, 3]) })
+      expect(changes).to.eql([{ kind: 'B', path: ['a'], index: 1, lhs: [2], rhs: [5, 6] }])
+      const result = applyChanges({ a: new Float32Array([1, 2, 3]) }, changes)
+      expect(result.a).to.be.a(Float32Array)
+      expect(Array.from(result.a)).to.eql([1, 5, 6, 3])
+    })
+
+    it('applies and reverts ranges without touching the original', function () {
+      const changes = diff(lhs, rhs)
+      const result = applyChanges(lhs, changes, { strict: true })
+      expect(Buffer.isBuffer(result.data)).to.be(true)
+      expect(result.data.equals(rhs.data)).to.be(true)
+      expect(revertChanges(rhs, changes).data.equals(lhs.data)).to.be(true)
+      expect(lhs.data[2]).to.be(3)
+    })
+
+    it('reports elements that differ from what a range replaces', function () {
+      const report = applyChanges({ data: Buffer.alloc(16) }, diff(lhs, rhs), { dryRun: true })
+      expect(report.conflicts[0]).to.eql({
+        actual: Buffer.alloc(16),
+        change: diff(lhs, rhs)[0],
+        expected: [3],
+        index: 0,
+        path: ['data'],
+        reason: 'mismatch',
+      })
+    })
+
+    it('records typed arrays of different types as edits', function () {
+      expect(diff(new Uint8Array([1]), Buffer.from([1]))[0].kind).to.be('E')
+    })
+  })
+
+  it('formats changes to Maps, Sets and typed arrays', function () {
+    const lhs = { map: new Map([[1, 'one']]), data: new Uint8Array([1, 2, 3]) }
+    const rhs = { map: new Map([[1, 'ONE']]), data: new Uint8Array([1, 9, 3]) }
+    expect(formatText(diff(lhs, rhs), lhs).split('\n')).to.eql([
+      '  {',
+      '    "map": {',
+      '~     1: "one" → "ONE"',
+      '    }',
+      '~   "data": @1 [-2-]{+9+}',
+      '  }',
+    ])
+  })
+
+  it('can only express string keys and indices in JSON Patch', function () {
+    expect(function () {
+      toJsonPatch(diff({ map: new Map([[{ x: 1 }, 1]]) }, { map: new Map([[{ x: 1 }, 2]]) }))
+    }).to.throwError(/Cannot express the path segment \[object Object\] in a JSON Pointer/)
+    expect(function () {
+      toJsonPatch(diff({ a: new Uint8Array([1]) }, { a: new Uint8Array([2]) }))
+    }).to.throwError(/Cannot express the byte range change at \/a in a JSON Patch/)
+  })
+})
@@ -0,0 +1,105 @@
+import { isEqual } from './diff'
+
+// Within a Map a path segment is the key of an entry, and within a Set the member itself, whatever their type. Keys and
+// members that are objects are found by identity, or else by value since cloned targets hold copies of them.
+function resolve(collection: Map<any, any> | Set<any>, segment: any) {
+  if (collection.has(segment) || segment === null || typeof segment !== 'object') {
+    return segment
+  }
+  for (const key of collection.keys()) {
+    if (isEqual(key, segment)) {
+      return key
+    }
+  }
+  return segment
+}
+
+export function hasChild(container: any, segment: any) {
+  if (container instanceof Map || container instanceof Set) {
+    return container.has(resolve(container, segment))
+  }
+  return Object.prototype.hasOwnProperty.call(container, segment)
+}
+
+export function getChild(container: any, segment: any) {
+  if (container instanceof Map) {
+    return container.get(resolve(container, segment))
+  }
+  if (container instanceof Set) {
+    const member = resolve(container, segment)
+    return container.has(member) ? member : undefined
+  }
+  // only own properties are walked into, so no path reaches the prototypes an object inherits from
+  return Object.prototype.hasOwnProperty.call(container, segment) ? container[segment] : undefined
+}
+
+export function setChild(container: any, segment: any, value: any) {
+  if (container instanceof Map) {
+    container.set(resolve(container, segment), value)
+  } else if (container instanceof Set) {
+    // a member is its own key, replacing it takes the old one out
+    container.delete(resolve(container, segment))
+    container.add(value)
+  } else if (segment === '__proto__') {
+    // assigning it would set the prototype of the container
+    Object.defineProperty(container, segment, { configurable: true, enumerable: true, value, writable: true })
+  } else {
+    container[segment] = value
+  }
+}
+
+export function deleteChild(container: any, segment: any) {
+  if (container instanceof Map || container instanceof Set) {
+    container.delete(resolve(container, segment))
+  } else {
+    delete container[segment]
+  }
+}
+
+/**
+ * Deep copies a value like `cloneDeep` does, but for own `__proto__` keys, which stay keys of the copy instead of
+ * becoming its prototype
+ */
+export function cloneValue(value: any, copies = new Map<any, any>()): any {
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (copies.has(value)) {
+    return copies.get(value)
+  }
+  let copy: any
+  if (value instanceof Date) {
+    copy = new Date(value.getTime())
+  } else if (value instanceof RegExp) {
+    copy = new RegExp(value.source, value.flags)
+    copy.lastIndex = value.lastIndex
+  } else if (value instanceof ArrayBuffer) {
+    copy = value.slice(0)
+  } else if (value instanceof DataView) {
+    copy = new DataView(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength))
+  } else if (typeof Buffer !== 'undefined' && Buffer.isBuffer(value)) {
+    // a Buffer's own slice shares its memory
+    copy = Buffer.from(value)
+  } else if (ArrayBuffer.isView(value)) {
+    copy = new (value.constructor as any)(value)
+  } else if (value instanceof Map) {
+    copy = new Map()
+    copies.set(value, copy)
+    value.forEach((child, key) => copy.set(cloneValue(key, copies), cloneValue(child, copies)))
+    return copy
+  } else if (value instanceof Set) {
+    copy = new Set()
+    copies.set(value, copy)
+    value.forEach(member => copy.add(cloneValue(member, copies)))
+    return copy
+  } else {
+    copy = Array.isArray(value) ? new Array(value.length) : Object.create(Object.getPrototypeOf(value))
+    copies.set(value, copy)
+    for (const key of Object.keys(value)) {
+      setChild(copy, key, cloneValue(value[key], copies))
+    }
+    return copy
+  }
+  copies.set(value, copy)
+  return copy
+}
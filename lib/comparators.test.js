@@ -0,0 +1,144 @@
+const expect = require('expect.js')
+const { diff } = require('.')
+
+describe('Comparators', function () {
+  const tolerance = {
+    type: 'number',
+    compare: function (lhs, rhs) {
+      return typeof lhs === 'number' && typeof rhs === 'number' ? Math.abs(lhs - rhs) < 0.01 : undefined
+    },
+  }
+
+  it('can declare values equal', function () {
+    const lhs = { metrics: { cpu: 0.501, memory: 12 }, name: 'a' }
+    const rhs = { metrics: { cpu: 0.5, memory: 13 }, name: 'a' }
+    expect(diff(lhs, rhs, { comparators: [tolerance] })).to.eql([
+      { kind: 'E', path: ['metrics', 'memory'], lhs: 12, rhs: 13 },
+    ])
+  })
+
+  it('applies to the paths matching their pattern', function () {
+    const caseless = {
+      path: ['users', '*', 'email'],
+      normalize: function (value) {
+        return value.toLowerCase()
+      },
+    }
+    const lhs = { users: [{ email: 'Jo@Example.com', name: 'Jo' }] }
+    const rhs = { users: [{ email: 'jo@example.com', name: 'jo' }] }
+    expect(diff(lhs, rhs, { comparators: [caseless] })).to.eql([
+      { kind: 'E', path: ['users', 0, 'name'], lhs: 'Jo', rhs: 'jo' },
+    ])
+    const pointer = { path: '/users/*/email', normalize: caseless.normalize }
+    expect(diff(lhs, rhs, { comparators: [pointer] })).to.eql(diff(lhs, rhs, { comparators: [caseless] }))
+    const anyDepth = {
+      path: ['**', 'c'],
+      compare: function () {
+        return true
+      },
+    }
+    expect(diff({ a: { b: { c: 1 }, d: 1 } }, { a: { b: { c: 2 }, d: 2 } }, { comparators: [anyDepth] })).to.eql([
+      { kind: 'E', path: ['a', 'd'], lhs: 1, rhs: 2 },
+    ])
+  })
+
+  it('can compare values of different types', function () {
+    const dates = {
+      type: 'date',
+      compare: function (lhs, rhs) {
+        const iso = function (value) {
+          return value instanceof Date ? value.toISOString() : value
+        }
+        return iso(lhs) === iso(rhs)
+      },
+    }
+    const date = new Date('2018-01-01T00:00:00.000Z')
+    expect(diff({ at: date }, { at: '2018-01-01T00:00:00.000Z' }, { comparators: [dates] })).to.be(null)
+    expect(diff({ at: date }, { at: '2019-01-01T00:00:00.000Z' }, { comparators: [dates] })).to.eql([
+      { kind: 'E', path: ['at'], lhs: date, rhs: '2019-01-01T00:00:00.000Z' },
+    ])
+  })
+
+  it('can treat undefined properties as missing', function () {
+    const missing = {
+      compare: function (lhs, rhs) {
+        return typeof lhs === 'undefined' && typeof rhs === 'undefined' ? true : undefined
+      },
+    }
+    expect(diff({ a: 1 }, { a: 1, b: undefined }, { comparators: [missing] })).to.be(null)
+    expect(diff({ a: 1, b: undefined }, { a: 1 }, { comparators: [missing] })).to.be(null)
+    expect(diff({ a: 1 }, { a: 1, b: undefined })).to.eql([{ kind: 'N', path: ['b'], rhs: undefined }])
+  })
+
+  it('can take over diffing a subtree', function () {
+    const counts = {
+      path: ['counts'],
+      compare: function (lhs, rhs) {
+        return [{ kind: 'E', path: ['total'], lhs: lhs.length, rhs: rhs.length }]
+      },
+    }
+    expect(diff({ counts: [1, 2] }, { counts: [3, 4, 5] }, { comparators: [counts] })).to.eql([
+      { kind: 'E', path: ['counts', 'total'], lhs: 2, rhs: 3 },
+    ])
+  })
+
+  it('records values declared different as edits, additions or deletions', function () {
+    const never = {
+      path: ['*'],
+      compare: function () {
+        return false
+      },
+    }
+    expect(diff({ a: 1, b: 2 }, { a: 1, c: 3 }, { comparators: [never] })).to.eql([
+      { kind: 'E', path: ['a'], lhs: 1, rhs: 1 },
+      { kind: 'D', path: ['b'], lhs: 2 },
+      { kind: 'N', path: ['c'], rhs: 3 },
+    ])
+  })
+
+  describe('classes', function () {
+    function Money(amount, currency) {
+      this.amount = amount
+      this.currency = currency
+      this.cache = {}
+    }
+    Money.prototype.equals = function (other) {
+      return this.amount === other.amount && this.currency === other.currency
+    }
+
+    it('compares instances with their equals method', function () {
+      const lhs = { price: new Money(1, 'EUR') }
+      const rhs = { price: new Money(1, 'EUR') }
+      rhs.price.cache.rate = 2
+      expect(diff(lhs, rhs, { classes: [{ type: Money }] })).to.be(null)
+      expect(diff(lhs, rhs)).to.eql([{ kind: 'N', path: ['price', 'cache', 'rate'], rhs: 2 }])
+      const changes = diff(lhs, { price: new Money(2, 'EUR') }, { classes: [{ type: Money }] })
+      expect(changes).to.have.length(1)
+      expect(changes[0].kind).to.be('E')
+      expect(changes[0].rhs.amount).to.be(2)
+    })
+
+    it('compares instances with a registered function', function () {
+      const byCurrency = function (lhs, rhs) {
+        return lhs.currency === rhs.currency
+      }
+      const options = { classes: [{ type: Money, isEqual: byCurrency }] }
+      expect(diff({ price: new Money(1, 'EUR') }, { price: new Money(2, 'EUR') }, options)).to.be(null)
+    })
+
+    it('tells instances from other objects', function () {
+      const changes = diff({ price: new Money(1, 'EUR') }, { price: { amount: 1, currency: 'EUR' } }, {
+        classes: [{ type: Money }],
+      })
+      expect(changes).to.have.length(1)
+      expect(changes[0].kind).to.be('E')
+    })
+
+    it('needs a way to compare instances', function () {
+      function Plain() {}
+      expect(function () {
+        diff(new Plain(), new Plain(), { classes: [{ type: Plain }] })
+      }).to.throwError(/Instances of Plain need an isEqual function or an equals method to be compared/)
+    })
+  })
+})
@@ -0,0 +1,681 @@
+import { ArrayScript, diffArrays, diffMultisets, pushAll } from './arrays'
+import { diffBytes, isTypedArray } from './bytes'
+import { ArrayDiff, BytesDiff, Change, DeleteDiff, EditDiff, NewDiff, TextDiff, withPath } from './changes'
+import { DiffAbortError } from './errors'
+import { changeFilter } from './filter'
+import { compileFilter, FilterScope, matchesPath, PathFilter, PathPattern } from './paths'
+import { RedactionRules, redactChanges } from './redact'
+import { diffText, TextDiffOptions } from './text'
+
+// Hooks are handed the path of the values being diffed, which changes as the diff goes on
+export type Prefilter = (path: any, key: any) => void
+
+export type ObjectHash = (item: any, path: any[]) => any
+
+export interface Comparator {
+  /**
+   * Compares two values, returning `true` when they are equal, `false` when they differ (the whole value is then
+   * recorded as changed), the changes between them with paths relative to them to diff them its own way, or undefined
+   * to leave them to the next comparator and then to the usual comparison. Missing values are undefined.
+   */
+  readonly compare?: (lhs: any, rhs: any, path: any[]) => boolean | Change[] | undefined
+  /** Replaces values other than undefined before they are compared, the changes then holding the replaced values */
+  readonly normalize?: (value: any, path: any[]) => any
+  /** The paths of the values the comparator applies to, all of them by default */
+  readonly path?: PathPattern
+  /** The type of the values it applies to as named by `realTypeOf` (`'number'`, `'date'`…), any type by default */
+  readonly type?: string
+}
+
+export interface ClassComparator {
+  /** Compares two instances of the class, by default with the `equals` method of the first */
+  readonly isEqual?: (lhs: any, rhs: any) => boolean
+  readonly type: new (...args: any[]) => any
+}
+
+export interface DiffOptions extends PathFilter {
+  /**
+   * How arrays are compared: `'index'` (the default) compares elements slot by slot, `'lcs'` finds the longest common
+   * subsequence and records real insertions, removals and moves, `'unordered'` compares them as multisets and records
+   * the members added and removed
+   */
+  readonly arrays?: 'index' | 'lcs' | 'unordered'
+  /**
+   * Classes whose instances are compared as a whole with their own equality rather than property by property, an
+   * instance differing from anything but another instance of the class
+   */
+  readonly classes?: ClassComparator[]
+  /**
+   * Hooks normalizing values and comparing them before the usual comparison, applied in order to the values of the
+   * paths and types they match. Array elements are still paired without them when arrays are compared as sequences.
+   */
+  readonly comparators?: Comparator[]
+  /**
+   * Identifies array elements by a primitive key, given the element and the path of its array. Elements keeping their
+   * key are diffed wherever they end up, the others are recorded as added, removed or moved. Implies `arrays: 'lcs'`.
+   */
+  readonly objectHash?: ObjectHash
+  readonly prefilter?: Prefilter
+  /**
+   * Redacts the values at the paths matching these patterns or rules in the changes, such as passwords, as
+   * `redactChanges` does
+   */
+  readonly redact?: RedactionRules
+  /**
+   * Records the changes to long strings as text changes, holding only the replaced parts of the strings with a little
+   * context rather than both strings whole
+   */
+  readonly text?: TextDiffOptions
+  /** The paths of the arrays compared as multisets, whatever `arrays` says */
+  readonly unordered?: PathPattern[]
+}
+
+/** The options of `diff` that decide what differs, leaving out those that only rewrite the changes it outputs */
+export type ComparisonOptions = Pick<DiffOptions, Exclude<keyof DiffOptions, 'redact'>>
+
+/** Leaves out the options that only rewrite the changes, for diffs whose changes are applied rather than output */
+export function comparisonOptions(options: DiffOptions): ComparisonOptions {
+  const { redact, ...rest } = options
+  return rest
+}
+
+export function realTypeOf(subject: any) {
+  const type = typeof subject
+  if (type !== 'object') {
+    return type
+  }
+
+  if (subject === Math) {
+    return 'math'
+  } else if (subject === null) {
+    return 'null'
+  } else if (Array.isArray(subject)) {
+    return 'array'
+  } else if (subject instanceof Map) {
+    return 'map'
+  } else if (subject instanceof Set) {
+    return 'set'
+  } else if (isTypedArray(subject)) {
+    return 'typedarray'
+  } else if (Object.prototype.toString.call(subject) === '[object Date]') {
+    return 'date'
+  } else if (typeof subject.toString === 'function' && /^\/.*\//.test(subject.toString())) {
+    return 'regexp'
+  }
+  return 'object'
+}
+
+interface FindDifferencesOptions {
+  readonly changes?: Change[]
+  /** Stops at the first difference */
+  readonly first?: boolean
+  readonly lhs: any
+  readonly options?: DiffOptions
+  readonly rhs: any
+}
+
+// The objects holding a pair of values, the copy of their path the options' functions share, and where their path stands
+// against the include and exclude patterns
+interface Container {
+  readonly lhs: any
+  readonly path: () => any[]
+  readonly rhs: any
+  readonly scope?: FilterScope
+}
+
+// A pair of values to diff: how deep they are and under what key of which pair of objects, and where their changes go
+interface Task {
+  readonly changes: Change[]
+  readonly depth: number
+  readonly key?: any
+  readonly lhs: any
+  readonly parent?: Container
+  readonly rhs: any
+}
+
+// Values are diffed off an explicit stack rather than by recursion, so neither deep nor wide values can overflow the
+// call stack. Functions on the stack finish up objects once their children are diffed.
+type Work = Task | (() => void)
+
+// What a diff keeps track of: the objects being diffed above the current values, to detect cycles, and their path. The
+// path is shared by all values, cut back to the depth of each one as it comes up, and copied only into changes and for
+// the options' functions. The scope of the top values is entered key by key on the way down, so include and exclude
+// patterns skip values without matching whole paths.
+interface Walk {
+  readonly ancestors: Set<any>
+  readonly options: DiffOptions
+  readonly path: any[]
+  readonly scope?: FilterScope
+  readonly tally?: Tally
+}
+
+// How many values a diff found the same on both sides, and how many the changes it found hold, counting objects and
+// arrays as values as well as what they hold
+interface Tally {
+  changed: number
+  same: number
+}
+
+// The number of values in a value, itself included
+function weigh(value: any) {
+  let count = 0
+  const stack = [value]
+  const seen = new Set()
+  while (stack.length) {
+    const current = stack.pop()
+    count++
+    if (current === null || typeof current !== 'object' || seen.has(current)) {
+      continue
+    }
+    seen.add(current)
+    if (isTypedArray(current)) {
+      count += current.length
+    } else if (current instanceof Map) {
+      pushAll(stack, Array.from(current.values()))
+    } else if (current instanceof Set) {
+      pushAll(stack, Array.from(current))
+    } else {
+      pushAll(stack, Object.keys(current).map(key => current[key]))
+    }
+  }
+  return count
+}
+
+// The number of values a change removes and adds
+function weighChange(change: Change): number {
+  switch (change.kind) {
+    case 'A':
+      return weighChange(change.item)
+    case 'B':
+      return change.lhs.length + change.rhs.length
+    case 'D':
+      return weigh(change.lhs)
+    case 'E':
+      return weigh(change.lhs) + weigh(change.rhs)
+    case 'M':
+      return 0
+    case 'N':
+      return weigh(change.rhs)
+    case 'T':
+      return 2
+  }
+}
+
+export function isEqual(lhs: any, rhs: any) {
+  return !findDifferences({ lhs, rhs, first: true }).length
+}
+
+// The elements an edit script keeps or moves as they are, rather than pairing them up to be diffed, are the same
+function tallyKept(tally: Tally | undefined, lhs: any[], { changes, pairs }: ArrayScript) {
+  if (!tally) {
+    return
+  }
+  const changed = new Set(pairs.map(([l]) => l))
+  for (const change of changes) {
+    if (change.kind === 'A' && change.item.kind === 'D') {
+      changed.add(change.index)
+    }
+  }
+  lhs.forEach((item, l) => {
+    tally.same += changed.has(l) ? 0 : 2 * weigh(item)
+  })
+}
+
+function hasKey(container: any, key: any) {
+  if (container instanceof Map || container instanceof Set) {
+    return container.has(key)
+  }
+  return !!Object.getOwnPropertyDescriptor(container, key)
+}
+
+const NONE = {}
+
+// The key among `candidates` matching a Map key or Set member, objects matching others of the same value
+function matchingKey(candidates: Set<any>, key: any) {
+  if (candidates.has(key)) {
+    return key
+  }
+  if (key !== null && typeof key === 'object') {
+    for (const candidate of candidates) {
+      if (isEqual(candidate, key)) {
+        return candidate
+      }
+    }
+  }
+  return NONE
+}
+
+function appliesTo({ path: pattern, type }: Comparator, path: any[], values: any[]) {
+  return (!pattern || matchesPath(pattern, path)) && (!type || values.some(value => realTypeOf(value) === type))
+}
+
+function normalize(comparators: Comparator[], value: any, path: any[], copy: () => any[]) {
+  if (typeof value === 'undefined') {
+    return value
+  }
+  for (const comparator of comparators) {
+    if (comparator.normalize && appliesTo(comparator, path, [value])) {
+      value = comparator.normalize(value, copy())
+    }
+  }
+  return value
+}
+
+// What the comparators and classes make of two values: equal, different, the changes between them or undefined when
+// they leave them to the usual comparison
+function compareWith(
+  { classes = [], comparators = [] }: DiffOptions,
+  lhs: any,
+  rhs: any,
+  path: any[],
+  copy: () => any[]
+) {
+  for (const comparator of comparators) {
+    if (comparator.compare && appliesTo(comparator, path, [lhs, rhs])) {
+      const outcome = comparator.compare(lhs, rhs, copy())
+      if (typeof outcome !== 'undefined') {
+        return outcome
+      }
+    }
+  }
+  for (const { isEqual: equals, type } of classes) {
+    const lInstance = lhs instanceof type
+    const rInstance = rhs instanceof type
+    if (lInstance && rInstance) {
+      if (equals) {
+        return equals(lhs, rhs)
+      }
+      if (typeof lhs.equals !== 'function') {
+        throw new TypeError(`Instances of ${type.name} need an isEqual function or an equals method to be compared`)
+      }
+      return !!lhs.equals(rhs)
+    }
+    if ((lInstance || rInstance) && typeof lhs !== 'undefined' && typeof rhs !== 'undefined') {
+      return false
+    }
+  }
+  return undefined
+}
+
+// Strings are patched when they are long enough, few enough edits turn one into the other and the patch is smaller than
+// the strings themselves
+function textChange(
+  path: any[],
+  lhs: string,
+  rhs: string,
+  { maxEdits = 1000, minLength = 1000, unit }: TextDiffOptions
+) {
+  const hunks = Math.max(lhs.length, rhs.length) >= minLength ? diffText(lhs, rhs, unit, maxEdits) : undefined
+  if (hunks) {
+    const size = hunks.reduce(
+      (total, hunk) => total + hunk.after.length + hunk.before.length + hunk.lhs.length + hunk.rhs.length,
+      0
+    )
+    if (size < lhs.length + rhs.length) {
+      return new TextDiff(path, hunks)
+    }
+  }
+  return new EditDiff(path, lhs, rhs)
+}
+
+function isUnordered({ arrays, unordered }: DiffOptions, path: any[]) {
+  return arrays === 'unordered' || (!!unordered && unordered.some(pattern => matchesPath(pattern, path)))
+}
+
+// Diffs the pair of values at the top of the stack, or finishes up an object
+function step(stack: Work[], walk: Walk) {
+  const work = stack.pop()!
+  if (typeof work === 'function') {
+    work()
+    return
+  }
+  const found = work.changes.length
+  const next = visit(work, walk)
+  if (walk.tally) {
+    for (let i = found; i < work.changes.length; i++) {
+      walk.tally.changed += weighChange(work.changes[i])
+    }
+  }
+  for (let i = next.length - 1; i >= 0; i--) {
+    stack.push(next[i])
+  }
+}
+
+function findDifferences({ lhs, rhs, changes = [], first, options = {} }: FindDifferencesOptions) {
+  const walk: Walk = { ancestors: new Set(), options, path: [] }
+  const stack: Work[] = [{ changes, depth: 0, lhs, rhs }]
+  while (stack.length && !(first && changes.length)) {
+    step(stack, walk)
+  }
+  return changes
+}
+
+// Made apart from `visit`, so an object waiting for its children doesn't hold on to the copies of its path
+function leave(ancestors: Set<any>, value: any) {
+  return () => {
+    ancestors.delete(value)
+  }
+}
+
+// Diffs a pair of values, returning the work diffing their children in the order it is to be done
+function visit(task: Task, { ancestors, options, path, scope: top, tally }: Walk): Work[] {
+  const { changes, depth, key, parent } = task
+  let { lhs, rhs } = task
+  const { prefilter, objectHash } = options
+  path.length = Math.max(depth - 1, 0)
+  // children are diffed with their parent, Map keys and Set members can be anything
+  if (parent) {
+    if (prefilter && prefilter(parent.path(), key)) {
+      return []
+    }
+    path.push(key)
+  }
+  const scope = parent ? parent.scope && parent.scope.enter(key) : top
+  if (scope && !scope.reaches) {
+    return []
+  }
+  let copy: any[] | undefined
+  const currentPath = () => copy || (copy = path.slice())
+  // the options' functions share a copy of the path apart from the one in changes, made once for each value when first
+  // needed, as the path itself keeps changing
+  let shared: any[] | undefined
+  const sharedPath = () => shared || (shared = path.slice())
+  if (options.comparators) {
+    lhs = normalize(options.comparators, lhs, path, sharedPath)
+    rhs = normalize(options.comparators, rhs, path, sharedPath)
+  }
+  // Use string comparison for regexes
+  if (realTypeOf(lhs) === 'regexp' && realTypeOf(rhs) === 'regexp') {
+    lhs = lhs.toString()
+    rhs = rhs.toString()
+  }
+
+  const lType = typeof lhs
+  const rType = typeof rhs
+
+  const lDefined = lType !== 'undefined' || (parent && parent.lhs && hasKey(parent.lhs, key))
+  const rDefined = rType !== 'undefined' || (parent && parent.rhs && hasKey(parent.rhs, key))
+
+  const outcome = options.comparators || options.classes ? compareWith(options, lhs, rhs, path, sharedPath) : undefined
+  if (Array.isArray(outcome)) {
+    for (const change of outcome) {
+      changes.push(withPath(change, currentPath().concat(change.path || [])))
+    }
+  } else if (outcome === true) {
+    // equal as far as the comparators are concerned
+    if (tally) {
+      tally.same += weigh(lhs) + weigh(rhs)
+    }
+  } else if (outcome === false) {
+    changes.push(
+      !lDefined
+        ? new NewDiff(currentPath(), rhs)
+        : !rDefined
+          ? new DeleteDiff(currentPath(), lhs)
+          : new EditDiff(currentPath(), lhs, rhs)
+    )
+  } else if (!lDefined && rDefined) {
+    changes.push(new NewDiff(currentPath(), rhs))
+  } else if (!rDefined && lDefined) {
+    changes.push(new DeleteDiff(currentPath(), lhs))
+  } else if (realTypeOf(lhs) !== realTypeOf(rhs)) {
+    changes.push(new EditDiff(currentPath(), lhs, rhs))
+  } else if (realTypeOf(lhs) === 'date' && lhs - rhs !== 0) {
+    changes.push(new EditDiff(currentPath(), lhs, rhs))
+  } else if (realTypeOf(lhs) === 'typedarray' && lhs.constructor !== rhs.constructor) {
+    changes.push(new EditDiff(currentPath(), lhs, rhs))
+  } else if (lType === 'object' && lhs !== null && rhs !== null) {
+    if (ancestors.has(lhs)) {
+      if (lhs !== rhs) {
+        // lhs is contains a cycle at this element and it differs from rhs
+        changes.push(new EditDiff(currentPath(), lhs, rhs))
+      } else if (tally) {
+        tally.same += 2
+      }
+      return []
+    }
+    ancestors.add(lhs)
+    if (tally) {
+      tally.same += 2
+    }
+    const container = { lhs, path: sharedPath, rhs, scope }
+    const next: Work[] = []
+    const child = (childKey: any, lhsChild: any, rhsChild: any, into = changes) =>
+      next.push({ changes: into, depth: depth + 1, key: childKey, lhs: lhsChild, parent: container, rhs: rhsChild })
+    if (isTypedArray(lhs)) {
+      let same = lhs.length + rhs.length
+      for (const range of diffBytes(lhs, rhs)) {
+        changes.push(new BytesDiff(currentPath(), range.index, range.lhs, range.rhs))
+        same -= range.lhs.length + range.rhs.length
+      }
+      if (tally) {
+        tally.same += same
+      }
+    } else if (lhs instanceof Map) {
+      // entries are diffed by key, their path segment being the key itself
+      const rhsKeys = new Set(rhs.keys())
+      for (const [lhsKey, value] of lhs) {
+        const rhsKey = matchingKey(rhsKeys, lhsKey)
+        rhsKeys.delete(rhsKey)
+        child(lhsKey, value, rhsKey === NONE ? undefined : rhs.get(rhsKey))
+      }
+      for (const rhsKey of rhsKeys) {
+        child(rhsKey, undefined, rhs.get(rhsKey))
+      }
+    } else if (lhs instanceof Set) {
+      // members are only added or deleted, their path segment being the member itself
+      const added = new Set(rhs)
+      for (const member of lhs) {
+        const match = matchingKey(added, member)
+        if (match === NONE) {
+          child(member, member, undefined)
+        } else if (tally) {
+          tally.same += weigh(member) + weigh(match)
+        }
+        added.delete(match)
+      }
+      for (const member of added) {
+        child(member, undefined, member)
+      }
+    } else if (Array.isArray(lhs) && isUnordered(options, path)) {
+      // members are added and removed by value, their indices only tell where they were
+      const { added, removed } = diffMultisets(lhs, rhs, isEqual)
+      if (tally) {
+        const gone = new Set(removed)
+        lhs.forEach((member: any, index: number) => {
+          tally.same += gone.has(index) ? 0 : 2 * weigh(member)
+        })
+      }
+      for (const index of removed.reverse()) {
+        changes.push(new ArrayDiff(currentPath(), index, new DeleteDiff(undefined, lhs[index]), undefined, true))
+      }
+      for (const index of added) {
+        changes.push(new ArrayDiff(currentPath(), index, new NewDiff(undefined, rhs[index]), undefined, true))
+      }
+    } else if (Array.isArray(lhs) && objectHash) {
+      const arrayPath = currentPath()
+      const keyOf = (item: any) => objectHash(item, sharedPath())
+      const script = diffArrays(arrayPath, lhs, rhs, { isEqual, keyOf })
+      pushAll(changes, script.changes)
+      tallyKept(tally, lhs, script)
+      for (const [lhsIndex, rhsIndex] of script.pairs) {
+        const itemChanges: Change[] = []
+        child(rhsIndex, lhs[lhsIndex], rhs[rhsIndex], itemChanges)
+        // nested changes are held by the element's own record so they can follow it by key
+        next.push(() => {
+          for (const change of itemChanges) {
+            const itemPath = change.path!.slice(arrayPath.length + 1)
+            changes.push(new ArrayDiff(arrayPath, rhsIndex, withPath(change, itemPath), keyOf(rhs[rhsIndex])))
+          }
+        })
+      }
+    } else if (Array.isArray(lhs) && options.arrays === 'lcs') {
+      const script = diffArrays(currentPath(), lhs, rhs, { isEqual })
+      pushAll(changes, script.changes)
+      tallyKept(tally, lhs, script)
+      for (const [lhsIndex, rhsIndex] of script.pairs) {
+        child(rhsIndex, lhs[lhsIndex], rhs[rhsIndex])
+      }
+    } else if (Array.isArray(lhs)) {
+      let rhsLength = rhs.length - 1
+      let lhsLength = lhs.length - 1
+      for (let index = lhsLength + 1; index <= rhsLength; index++) {
+        changes.push(new ArrayDiff(currentPath(), index, new NewDiff(undefined, rhs[index])))
+      }
+      rhsLength = Math.min(rhsLength, lhsLength)
+      while (lhsLength > rhsLength) {
+        changes.push(new ArrayDiff(currentPath(), lhsLength, new DeleteDiff(undefined, lhs[lhsLength--])))
+      }
+      for (; rhsLength >= 0; rhsLength--) {
+        child(rhsLength, lhs[rhsLength], rhs[rhsLength])
+      }
+    } else {
+      const rhsKeys = new Set(Object.keys(rhs))
+      for (const lhsKey of Object.keys(lhs)) {
+        const inRhs = rhsKeys.delete(lhsKey)
+        child(lhsKey, lhs[lhsKey], inRhs ? rhs[lhsKey] : undefined)
+      }
+      for (const rhsKey of rhsKeys) {
+        child(rhsKey, undefined, rhs[rhsKey])
+      }
+    }
+    next.push(leave(ancestors, lhs))
+    return next
+  } else if (lType === 'string' && options.text && lhs !== rhs) {
+    changes.push(textChange(currentPath(), lhs, rhs, options.text))
+  } else if (lhs !== rhs && !(lType === 'number' && isNaN(lhs) && isNaN(rhs))) {
+    changes.push(new EditDiff(currentPath(), lhs, rhs))
+  } else if (tally) {
+    tally.same += 2
+  }
+  return []
+}
+
+// A diff in progress: the work left, the changes found at the top level that weren't taken yet, and what becomes of
+// them when they are
+interface Run {
+  readonly changes: Change[]
+  readonly output: (changes: Change[]) => Change[]
+  readonly stack: Work[]
+  readonly walk: Walk
+}
+
+function start(original: any, updated: any, options?: Prefilter | DiffOptions): Run {
+  const resolved: DiffOptions = (typeof options === 'function' ? { prefilter: options } : options) || {}
+  const scoped = !!(resolved.include || resolved.exclude)
+  const changes: Change[] = []
+  const keeps = scoped ? changeFilter(resolved) : undefined
+  const { redact } = resolved
+  return {
+    changes,
+    output: found => {
+      const kept = keeps ? found.filter(keeps) : found.slice()
+      return redact ? redactChanges(kept, redact) : kept
+    },
+    stack: [{ changes, depth: 0, lhs: original, rhs: updated }],
+    // include and exclude patterns skip the values they rule out like the prefilter does, the changes to the values
+    // holding included ones being left out afterwards
+    walk: {
+      ancestors: new Set(),
+      options: resolved,
+      path: [],
+      scope: scoped ? compileFilter(resolved).scope : undefined,
+    },
+  }
+}
+
+function take({ changes, output }: Run) {
+  const taken = output(changes)
+  changes.length = 0
+  return taken
+}
+
+export function diff(original: any, updated: any, options?: Prefilter | DiffOptions) {
+  const run = start(original, updated, options)
+  while (run.stack.length) {
+    step(run.stack, run.walk)
+  }
+  const changes = run.output(run.changes)
+  return changes.length ? changes : null
+}
+
+/**
+ * How alike two values are, from 0 when they have nothing in common to 1 when they are equal: the share of the values
+ * within them, objects and arrays included, that the diff finds on both sides rather than in its changes. Takes the
+ * options of `diff`.
+ */
+export function similarity(lhs: any, rhs: any, options?: Prefilter | DiffOptions) {
+  const run = start(lhs, rhs, options)
+  const tally: Tally = { changed: 0, same: 0 }
+  const walk: Walk = { ...run.walk, tally }
+  while (run.stack.length) {
+    step(run.stack, walk)
+  }
+  const total = tally.changed + tally.same
+  return total ? tally.same / total : 1
+}
+
+/** Diffs two values lazily, yielding the changes as they are found. Nothing is diffed until they are asked for. */
+export function* diffIterator(
+  original: any,
+  updated: any,
+  options?: Prefilter | DiffOptions
+): IterableIterator<Change> {
+  const run = start(original, updated, options)
+  while (run.stack.length) {
+    step(run.stack, run.walk)
+    if (run.changes.length) {
+      yield* take(run)
+    }
+  }
+}
+
+export interface DiffAsyncOptions extends DiffOptions {
+  /** Stops the diff once it found more changes than this, resolving to this many */
+  readonly maxChanges?: number
+  /** Aborts the diff, which then rejects with a `DiffAbortError` */
+  readonly signal?: AbortSignal
+  /** How long the diff works before giving way to other tasks, in milliseconds (10 by default) */
+  readonly slice?: number
+}
+
+export interface DiffAsyncResult {
+  /** The changes found, `null` when there are none */
+  readonly changes: Change[] | null
+  /** Whether there were more changes than `maxChanges`, the diff stopping at the first one past it */
+  readonly truncated: boolean
+}
+
+// The clock is read every so many steps rather than at every one
+const STEPS_PER_CHECK = 256
+
+/**
+ * Diffs two values in slices of time, giving way to other tasks in between so a large diff doesn't block the event
+ * loop
+ */
+export async function diffAsync(original: any, updated: any, options: DiffAsyncOptions = {}): Promise<DiffAsyncResult> {
+  const { maxChanges = Infinity, signal, slice = 10 } = options
+  const run = start(original, updated, options)
+  const changes: Change[] = []
+  let started = Date.now()
+  let steps = 0
+  while (run.stack.length) {
+    if (signal && signal.aborted) {
+      throw new DiffAbortError()
+    }
+    if (++steps % STEPS_PER_CHECK === 0 && Date.now() - started >= slice) {
+      await new Promise(resolve => setTimeout(resolve, 0))
+      started = Date.now()
+      continue
+    }
+    step(run.stack, run.walk)
+    if (run.changes.length) {
+      pushAll(changes, take(run))
+      // the diff goes on to the first change past the limit to tell whether there are more
+      if (changes.length > maxChanges) {
+        return { changes: changes.slice(0, maxChanges), truncated: true }
+      }
+    }
+  }
+  return { changes: changes.length ? changes : null, truncated: false }
+}
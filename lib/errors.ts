@@ -0,0 +1,110 @@
+import { Change } from './changes'
+
+export interface PatchConflict {
+  /** The value found, undefined when there is none */
+  readonly actual: any
+  readonly change: Change
+  /** The value the change expects to find, undefined when it expects none */
+  readonly expected: any
+  /** The position of the change in the list of changes */
+  readonly index: number
+  readonly path: any[]
+  /**
+   * `missing` when there is no value where one is expected, `exists` when there is one where none is expected,
+   * `mismatch` when the value differs, `index` when an array index is out of range, `type` when there is no array or
+   * string to change
+   */
+  readonly reason: 'missing' | 'exists' | 'mismatch' | 'index' | 'type'
+}
+
+export interface PatchResult {
+  /** The positions of the changes that were applied, in the order they were */
+  readonly applied: number[]
+  readonly failed: PatchApplyError[]
+  readonly result: any
+}
+
+export interface PatchReport {
+  readonly conflicts: PatchConflict[]
+}
+
+function describePath(path: any[]) {
+  return path.length ? path.join('.') : '(root)'
+}
+
+export class PatchConflictError extends Error {
+  readonly conflicts: PatchConflict[]
+  constructor(conflicts: PatchConflict[]) {
+    super(`Changes do not apply at ${conflicts.map(({ path }) => describePath(path)).join(', ')}`)
+    this.name = 'PatchConflictError'
+    this.conflicts = conflicts
+  }
+}
+
+/** A change that failed to apply, or to be reverted */
+export class PatchApplyError extends Error {
+  /** The error the change failed with, a `PatchConflictError` when it was found to conflict in strict mode */
+  readonly cause: Error
+  readonly change: Change
+  /** The position of the change in the list of changes */
+  readonly index: number
+  readonly path: any[]
+  /** The message of the error the change failed with, or the reason of its conflict */
+  readonly reason: string
+  constructor(change: Change, index: number, path: any[], cause: Error, reason = cause.message) {
+    super(`Change ${index} at ${describePath(path)} failed: ${reason}`)
+    this.name = 'PatchApplyError'
+    this.cause = cause
+    this.change = change
+    this.index = index
+    this.path = path
+    this.reason = reason
+  }
+}
+
+/**
+ * A change refused before any change is applied, for a path that reaches object prototypes or that the `paths` option
+ * doesn't allow, or for going past `maxDepth` or `maxChanges`
+ */
+export class UnsafeChangeError extends Error {
+  readonly change: Change
+  /** The position of the change in the list of changes */
+  readonly index: number
+  readonly path: any[]
+  /**
+   * `unsafe` when the path, or a key within the value it sets, goes through `__proto__` or `constructor.prototype`,
+   * `denied` when the `paths` option refuses it, `depth` when it is longer than `maxDepth`, `size` when the change is
+   * past `maxChanges`
+   */
+  readonly reason: 'unsafe' | 'denied' | 'depth' | 'size'
+  constructor(change: Change, index: number, path: any[], reason: UnsafeChangeError['reason'], detail: string) {
+    super(`Change ${index} at ${describePath(path)} is refused: ${detail}`)
+    this.name = 'UnsafeChangeError'
+    this.change = change
+    this.index = index
+    this.path = path
+    this.reason = reason
+  }
+}
+
+/** The error a diff rejects with when it is aborted */
+export class DiffAbortError extends Error {
+  constructor() {
+    super('The diff was aborted')
+    this.name = 'AbortError'
+  }
+}
+
+/** A malformed change record, found by `validateChanges` */
+export class InvalidChangeError extends Error {
+  /** The position of the change in the list of changes */
+  readonly index: number
+  /** What is wrong with the change, naming the field at fault */
+  readonly reason: string
+  constructor(index: number, reason: string) {
+    super(`Change ${index} is invalid: ${reason}`)
+    this.name = 'InvalidChangeError'
+    this.index = index
+    this.reason = reason
+  }
+}
@@ -0,0 +1,92 @@
+const expect = require('expect.js')
+const { diff, filterChanges } = require('.')
+
+describe('Path filters', function () {
+  const lhs = {
+    users: [{ name: 'Jo', password: 'a', updatedAt: 1 }, { name: 'Al', password: 'b', updatedAt: 1 }],
+    meta: { updatedAt: 1, version: 1 },
+  }
+  const rhs = {
+    users: [{ name: 'Joe', password: 'c', updatedAt: 2 }, { name: 'Al', password: 'd', updatedAt: 2 }],
+    meta: { updatedAt: 2, version: 2 },
+  }
+
+  describe('diff', function () {
+    it('leaves out the paths matching exclude patterns', function () {
+      expect(diff(lhs, rhs, { exclude: ['/users/*/password', '**/updatedAt'] })).to.eql([
+        { kind: 'E', path: ['users', 0, 'name'], lhs: 'Jo', rhs: 'Joe' },
+        { kind: 'E', path: ['meta', 'version'], lhs: 1, rhs: 2 },
+      ])
+      expect(diff(lhs, rhs, { exclude: ['/users', '/meta'] })).to.be(null)
+    })
+
+    it('only keeps the paths matching include patterns', function () {
+      expect(diff(lhs, rhs, { include: ['/users/*/password'] })).to.eql([
+        { kind: 'E', path: ['users', 1, 'password'], lhs: 'b', rhs: 'd' },
+        { kind: 'E', path: ['users', 0, 'password'], lhs: 'a', rhs: 'c' },
+      ])
+      expect(diff(lhs, rhs, { include: [['meta']], exclude: ['**/updatedAt'] })).to.eql([
+        { kind: 'E', path: ['meta', 'version'], lhs: 1, rhs: 2 },
+      ])
+    })
+
+    it('does not descend into excluded values', function () {
+      const visited = []
+      const prefilter = function (path, key) {
+        visited.push(path.concat(key).join('/'))
+      }
+      diff(lhs, rhs, { exclude: ['/users'], prefilter: prefilter })
+      expect(visited).to.eql(['users', 'meta', 'meta/updatedAt', 'meta/version'])
+    })
+
+    it('matches globs within segments and escaped pointers', function () {
+      const changes = diff({ 'a/b': 1, ab: 1, abc: 1, ba: 1 }, { 'a/b': 2, ab: 2, abc: 2, ba: 2 }, {
+        include: ['/a*', '/a~1b'],
+        exclude: ['/*c'],
+      })
+      expect(changes.map(function (change) {
+        return change.path[0]
+      })).to.eql(['a/b', 'ab'])
+    })
+
+    it('leaves out changes to the values holding included ones', function () {
+      expect(diff({ a: 1 }, { a: { b: 1 } }, { include: ['/a/b'] })).to.be(null)
+      expect(diff({ a: { b: 1 } }, { a: { b: 2 } }, { include: ['/a/b'] })).to.eql([
+        { kind: 'E', path: ['a', 'b'], lhs: 1, rhs: 2 },
+      ])
+    })
+  })
+
+  describe('filterChanges', function () {
+    it('filters changes by the paths they apply to', function () {
+      const changes = diff(lhs, rhs)
+      expect(filterChanges(changes, { include: ['/meta/*'], exclude: ['**/version'] })).to.eql([
+        { kind: 'E', path: ['meta', 'updatedAt'], lhs: 1, rhs: 2 },
+      ])
+      expect(filterChanges(changes, { exclude: ['**'] })).to.eql([])
+      expect(filterChanges(null, { exclude: ['**'] })).to.eql([])
+    })
+
+    it('looks into the items of array changes', function () {
+      const objectHash = function (item) {
+        return item.id
+      }
+      const changes = diff(
+        { list: [{ id: 1, secret: 'a', n: 1 }] },
+        { list: [{ id: 2, secret: 'b' }, { id: 1, secret: 'c', n: 2 }] },
+        { objectHash: objectHash }
+      )
+      const kept = filterChanges(changes, { exclude: ['/list/*/secret'] })
+      expect(kept.length).to.be.below(changes.length)
+      kept.forEach(function (change) {
+        const item = change.kind === 'A' ? change.item : change
+        expect((item.path || []).indexOf('secret')).to.be(-1)
+      })
+      expect(filterChanges(changes, { include: ['/list/*/n'] })).to.eql(
+        changes.filter(function (change) {
+          return change.kind === 'A' && change.item.path && change.item.path[0] === 'n'
+        })
+      )
+    })
+  })
+})
@@ -0,0 +1,30 @@
+import { Change } from './changes'
+import { compileFilter, PathFilter } from './paths'
+
+function toList(changes: Change | Change[] | null) {
+  return (!changes ? [] : Array.isArray(changes) ? changes : [changes]).filter(change => !!change)
+}
+
+/**
+ * The full path of what a change applies to, down through the items of array changes whose path is split between the
+ * array and the element
+ */
+export function targetPath(change: Change, base: any[] = []): any[] {
+  const path = base.concat(change.path || [])
+  return change.kind === 'A' ? targetPath(change.item, path.concat(change.index)) : path
+}
+
+/**
+ * Keeps the changes to the values `filter` includes and doesn't exclude. Changes to the values that hold included ones
+ * are left out with the rest, and leaving out insertions, removals or moves of array elements shifts the elements after
+ * them, so patterns should pick whole arrays or values within their elements.
+ */
+export function filterChanges(changes: Change | Change[] | null, filter: PathFilter): Change[] {
+  return toList(changes).filter(changeFilter(filter))
+}
+
+/** Tells whether `filterChanges` keeps a change */
+export function changeFilter(filter: PathFilter) {
+  const { keeps } = compileFilter(filter)
+  return (change: Change) => keeps(targetPath(change))
+}
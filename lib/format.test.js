@@ -0,0 +1,103 @@
+const expect = require('expect.js')
+const { diff, formatText, formatAnsi, formatHtml } = require('.')
+
+describe('Formatting changes', function () {
+  const lhs = { title: 'draft', tags: ['a', 'b', 'c'], meta: { views: 1, owner: 'jo' }, removed: true }
+  const rhs = { title: 'final', tags: ['a', 'c', 'd'], meta: { views: 2, owner: 'jo' }, added: { x: [1] } }
+  const changes = diff(lhs, rhs, { arrays: 'lcs' })
+
+  describe('formatText', function () {
+    it('lists the changes by path', function () {
+      expect(formatText(changes)).to.be(
+        [
+          '  {',
+          '~   "title": "draft" → "final"',
+          '    "tags": [',
+          '      …',
+          '-     "b"',
+          '      …',
+          '+     "d"',
+          '    ]',
+          '    "meta": {',
+          '~     "views": 1 → 2',
+          '    }',
+          '-   "removed": true',
+          '+   "added": {"x":[1]}',
+          '  }',
+        ].join('\n')
+      )
+    })
+
+    it('counts the unchanged values of the source document', function () {
+      expect(formatText(changes, lhs).split('\n').slice(2, 11)).to.eql([
+        '    "tags": [',
+        '      … 1 unchanged',
+        '-     "b"',
+        '      … 1 unchanged',
+        '+     "d"',
+        '    ]',
+        '    "meta": {',
+        '~     "views": 1 → 2',
+        '      … 1 unchanged',
+      ])
+    })
+
+    it('can list the unchanged values, indent and truncate', function () {
+      const text = formatText(diff({ a: 'x'.repeat(20), b: 1 }, { a: 'y', b: 1 }), { a: 'x'.repeat(20), b: 1 }, {
+        showUnchanged: true,
+        maxLength: 8,
+        indent: 4,
+      })
+      expect(text).to.be(['  {', '~     "a": "xxxxxx… → "y"', '      "b": 1', '  }'].join('\n'))
+    })
+
+    it('shows moved elements and changes within array elements', function () {
+      const objectHash = function (item) {
+        return item.id
+      }
+      const before = { list: [{ id: 1 }, { id: 2, n: 'two' }] }
+      const after = { list: [{ id: 2, n: 'TWO' }, { id: 1 }] }
+      expect(formatText(diff(before, after, { objectHash }), before)).to.be(
+        [
+          '  {',
+          '    "list": [',
+          '      {',
+          '        … 1 unchanged',
+          '~       "n": "two" → "TWO"',
+          '      }',
+          '~     {"id":1} (moved)',
+          '    ]',
+          '  }',
+        ].join('\n')
+      )
+    })
+
+    it('formats changes to the whole document and no changes', function () {
+      expect(formatText(diff(1, 2))).to.be('~ 1 → 2')
+      expect(formatText(null)).to.be('')
+    })
+  })
+
+  describe('formatAnsi', function () {
+    it('colors the changes', function () {
+      const lines = formatAnsi(changes, lhs).split('\n')
+      expect(lines[1]).to.be('\u001b[33m~   "title": "draft" → "final"\u001b[0m')
+      expect(lines[3]).to.be('\u001b[2m      … 1 unchanged\u001b[0m')
+      expect(lines[4]).to.be('\u001b[31m-     "b"\u001b[0m')
+      expect(lines[6]).to.be('\u001b[32m+     "d"\u001b[0m')
+    })
+  })
+
+  describe('formatHtml', function () {
+    it('renders a page with collapsible unchanged sections', function () {
+      const html = formatHtml(changes, lhs, { title: 'Post <1>' })
+      expect(html).to.match(/^<!DOCTYPE html>/)
+      expect(html).to.contain('<title>Post &#60;1&#62;</title>')
+      expect(html).to.contain('<div class="edited">~   &#34;title&#34;: &#34;draft&#34; → &#34;final&#34;</div>')
+      expect(html).to.contain(
+        '<details><summary><div class="same">      … 1 unchanged</div></summary>' +
+          '<div class="same">      &#34;owner&#34;: &#34;jo&#34;</div></details>'
+      )
+    })
+  })
+})
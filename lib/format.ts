@@ -0,0 +1,399 @@
+import { applyChanges } from './apply'
+import { ByteRange } from './bytes'
+import { Change, withPath } from './changes'
+import { realTypeOf } from './diff'
+import { TextHunk } from './text'
+
+export interface FormatOptions {
+  /** Spaces per level of nesting, 2 by default */
+  readonly indent?: number
+  /** Cuts values rendered longer than this many characters short with an ellipsis */
+  readonly maxLength?: number
+  /** Lists the unchanged elements and properties of the `source` document instead of only counting them */
+  readonly showUnchanged?: boolean
+}
+
+export interface HtmlFormatOptions extends FormatOptions {
+  /** The title of the report, "Changes" by default */
+  readonly title?: string
+}
+
+// The document as the changes leave it: unchanged values, values added, deleted or edited, values changed within and
+// strings and typed arrays patched. Without the source document the values nothing changed are unknown.
+interface Node {
+  children?: Map<any, Node> | Node[]
+  hunks?: TextHunk[]
+  known: boolean
+  lhs?: any
+  moved?: boolean
+  ranges?: ByteRange[]
+  rhs?: any
+  status: 'same' | 'added' | 'deleted' | 'edited' | 'changed' | 'patched'
+}
+
+function same(value: any, known: boolean): Node {
+  return { status: 'same', lhs: value, known }
+}
+
+// Lists the children of a node to record changes within it, as an array when its value is unknown and `segment` an
+// index
+function expand(node: Node, segment: any) {
+  if (!node.children) {
+    const value = node.lhs
+    if (Array.isArray(value) || (!node.known && typeof segment === 'number')) {
+      node.children = (value || []).map((item: any) => same(item, node.known))
+    } else {
+      const children = new Map<any, Node>()
+      if (value instanceof Map) {
+        value.forEach((item, key) => children.set(key, same(item, true)))
+      } else if (value instanceof Set) {
+        value.forEach(item => children.set(item, same(item, true)))
+      } else if (realTypeOf(value) === 'object') {
+        for (const key of Object.keys(value)) {
+          children.set(key, same(value[key], true))
+        }
+      }
+      node.children = children
+    }
+    node.status = 'changed'
+  }
+  return node.children!
+}
+
+// Array changes count indices among the elements still there, deleted ones stay listed where they were and
+// insertions go after them. Elements of unknown arrays are made up as they are needed.
+function position(entries: Node[], index: number, inserting: boolean) {
+  let live = 0
+  for (let i = 0; i < entries.length; i++) {
+    if (entries[i].status === 'deleted') {
+      continue
+    }
+    if (live === index) {
+      return i
+    }
+    live++
+  }
+  while (live < index + (inserting ? 0 : 1)) {
+    entries.push(same(undefined, false))
+    live++
+  }
+  return inserting ? entries.length : entries.length - 1
+}
+
+function child(node: Node, segment: any) {
+  const children = expand(node, segment)
+  if (Array.isArray(children)) {
+    return children[position(children, segment, false)]
+  }
+  if (!children.has(segment)) {
+    children.set(segment, same(undefined, node.known))
+  }
+  return children.get(segment)!
+}
+
+function remove(entries: Map<any, Node> | Node[], segment: any, node: Node) {
+  if (Array.isArray(entries)) {
+    entries.splice(entries.indexOf(node), 1)
+  } else {
+    entries.delete(segment)
+  }
+}
+
+function record(node: Node, change: Change, path: any[]) {
+  let parent: Node | undefined
+  for (let i = 0; i < path.length; i++) {
+    if (node.status === 'added' || node.status === 'edited') {
+      // changes within a new value are part of it
+      node.rhs = applyChanges(node.rhs, withPath(change, path.slice(i)))
+      return
+    }
+    parent = node
+    node = child(node, path[i])
+  }
+  switch (change.kind) {
+    case 'A': {
+      if (node.status === 'added' || node.status === 'edited') {
+        node.rhs = applyChanges(node.rhs, withPath(change, []))
+        return
+      }
+      const entries = expand(node, 0) as Node[]
+      const { index, item } = change
+      if (item.kind === 'N' && !(item.path && item.path.length)) {
+        const entry = same(undefined, false)
+        entry.status = 'added'
+        entry.rhs = item.rhs
+        entries.splice(position(entries, index, true), 0, entry)
+      } else {
+        const entry = entries[position(entries, index, false)]
+        if (item.kind === 'D' && !(item.path && item.path.length) && entry.status === 'added') {
+          entries.splice(entries.indexOf(entry), 1)
+        } else {
+          record(entry, item, item.path || [])
+        }
+      }
+      return
+    }
+    case 'D':
+      if (node.status === 'added' && parent) {
+        remove(parent.children!, path[path.length - 1], node)
+        return
+      }
+      node.lhs = node.known ? node.lhs : change.lhs
+      node.status = 'deleted'
+      break
+    case 'E':
+      if (node.status !== 'added') {
+        node.lhs = node.known ? node.lhs : change.lhs
+        node.status = 'edited'
+      }
+      node.rhs = change.rhs
+      break
+    case 'M': {
+      if (node.status === 'added' || node.status === 'edited') {
+        node.rhs = applyChanges(node.rhs, withPath(change, []))
+        return
+      }
+      const entries = expand(node, 0) as Node[]
+      const [moving] = entries.splice(position(entries, change.from, false), 1)
+      moving.moved = true
+      entries.splice(position(entries, change.to, true), 0, moving)
+      return
+    }
+    case 'N':
+      node.status = node.status === 'deleted' ? 'edited' : 'added'
+      node.rhs = change.rhs
+      break
+    case 'B':
+    case 'T':
+      if (node.status === 'added' || node.status === 'edited') {
+        node.rhs = applyChanges(node.rhs, withPath(change, []))
+      } else if (change.kind === 'T') {
+        node.hunks = (node.hunks || []).concat(change.hunks)
+        node.status = 'patched'
+      } else {
+        node.ranges = (node.ranges || []).concat(change)
+        node.status = 'patched'
+      }
+      return
+  }
+  node.known = true
+  delete node.children
+}
+
+interface Line {
+  readonly depth: number
+  readonly marker: ' ' | '+' | '-' | '~'
+  readonly text: string
+}
+
+// A run of unchanged elements or properties, `lines` being empty when their values are unknown
+interface Collapsed {
+  readonly count: number
+  readonly depth: number
+  readonly lines: Line[]
+}
+
+type Row = Line | Collapsed
+
+function isCollapsed(row: Row): row is Collapsed {
+  return 'count' in row
+}
+
+function render(value: any, maxLength: number) {
+  let text: string | undefined
+  try {
+    text = JSON.stringify(value)
+  } catch (e) {
+    // circular structures are rendered as their string
+  }
+  if (typeof text === 'undefined') {
+    text = String(value)
+  }
+  return truncate(text, maxLength)
+}
+
+function truncate(text: string, maxLength: number) {
+  return text.length > maxLength ? text.slice(0, Math.max(maxLength - 1, 0)) + '…' : text
+}
+
+// A hunk as the text replaced and by what in between its context, `[-removed-]{+inserted+}`
+function renderHunk({ after, before, lhs, rhs }: TextHunk, maxLength: number) {
+  const escape = (text: string) => JSON.stringify(text).slice(1, -1)
+  return truncate(`…${escape(before)}[-${escape(lhs)}-]{+${escape(rhs)}+}${escape(after)}…`, maxLength)
+}
+
+// A range of elements as the elements replaced and by what, after its offset
+function renderRange({ index, lhs, rhs }: ByteRange, maxLength: number) {
+  return truncate(`@${index} [-${lhs.join(',')}-]{+${rhs.join(',')}+}`, maxLength)
+}
+
+// Object properties are labelled with their name, Map entries and Set members with their key whatever it is
+function renderKey(key: any, maxLength: number) {
+  return typeof key === 'string' ? JSON.stringify(key) : render(key, maxLength)
+}
+
+function rows(node: Node, label: string, depth: number, maxLength: number, out: Row[]) {
+  const moved = node.moved ? ' (moved)' : ''
+  switch (node.status) {
+    case 'added':
+      out.push({ depth, marker: '+', text: label + render(node.rhs, maxLength) + moved })
+      return
+    case 'deleted':
+      out.push({ depth, marker: '-', text: label + render(node.lhs, maxLength) })
+      return
+    case 'edited':
+      out.push({ depth, marker: '~', text: `${label}${render(node.lhs, maxLength)} → ${render(node.rhs, maxLength)}` })
+      return
+    case 'patched':
+      for (const hunk of node.hunks || []) {
+        out.push({ depth, marker: '~', text: label + renderHunk(hunk, maxLength) })
+      }
+      for (const range of node.ranges || []) {
+        out.push({ depth, marker: '~', text: label + renderRange(range, maxLength) })
+      }
+      return
+    case 'same':
+      out.push({
+        depth,
+        marker: node.moved ? '~' : ' ',
+        text: label + (node.known ? render(node.lhs, maxLength) : '…') + moved,
+      })
+      return
+  }
+  const children = node.children!
+  out.push({ depth, marker: node.moved ? '~' : ' ', text: label + (Array.isArray(children) ? '[' : '{') + moved })
+  const entries = Array.isArray(children)
+    ? children.map((entry): [string, Node] => ['', entry])
+    : Array.from(children).map(([key, entry]): [string, Node] => [`${renderKey(key, maxLength)}: `, entry])
+  let run: Line[] = []
+  let count = 0
+  for (const [key, entry] of entries) {
+    if (entry.status === 'same' && !entry.moved) {
+      if (entry.known) {
+        run.push({ depth: depth + 1, marker: ' ', text: key + render(entry.lhs, maxLength) })
+      }
+      count++
+      continue
+    }
+    if (count) {
+      out.push({ count, depth: depth + 1, lines: run })
+    }
+    run = []
+    count = 0
+    rows(entry, key, depth + 1, maxLength, out)
+  }
+  if (count) {
+    out.push({ count, depth: depth + 1, lines: run })
+  }
+  out.push({ depth, marker: ' ', text: Array.isArray(children) ? ']' : '}' })
+}
+
+function build(changes: Change | Change[] | null, source: any, options: FormatOptions) {
+  const list = (!changes ? [] : Array.isArray(changes) ? changes : [changes]).filter(change => !!change)
+  const out: Row[] = []
+  if (!list.length) {
+    return out
+  }
+  const root = same(source, typeof source !== 'undefined')
+  for (const change of list) {
+    record(root, change, change.path || [])
+  }
+  rows(root, '', 0, typeof options.maxLength === 'number' ? options.maxLength : Infinity, out)
+  return out
+}
+
+function summary({ count, depth, lines }: Collapsed): Line {
+  return { depth, marker: ' ', text: lines.length ? `… ${count} unchanged` : '…' }
+}
+
+function formatLines(
+  changes: Change | Change[] | null,
+  source: any,
+  options: FormatOptions,
+  paint: (text: string, line: Line, unchanged: boolean) => string
+) {
+  const indent = typeof options.indent === 'number' ? options.indent : 2
+  const text = (line: Line) => `${line.marker} ${' '.repeat(line.depth * indent)}${line.text}`
+  const result: string[] = []
+  for (const row of build(changes, source, options)) {
+    if (!isCollapsed(row)) {
+      result.push(paint(text(row), row, false))
+    } else if (options.showUnchanged && row.lines.length) {
+      result.push(...row.lines.map(line => paint(text(line), line, true)))
+    } else {
+      result.push(paint(text(summary(row)), summary(row), true))
+    }
+  }
+  return result.join('\n')
+}
+
+/**
+ * Renders changes as an indented JSON-style listing marking added values with `+`, deleted ones with `-` and edited
+ * or moved ones with `~`, text changes being listed hunk by hunk as `[-removed-]{+inserted+}` in their context. Given
+ * the `source` document the changes apply to, unchanged values are counted (or listed with `showUnchanged`) in
+ * between, and array elements are shown in context.
+ */
+export function formatText(changes: Change | Change[] | null, source?: any, options: FormatOptions = {}) {
+  return formatLines(changes, source, options, text => text)
+}
+
+const COLORS = { ' ': '', '+': '\u001b[32m', '-': '\u001b[31m', '~': '\u001b[33m' }
+
+/** Renders changes like `formatText`, colored for terminals */
+export function formatAnsi(changes: Change | Change[] | null, source?: any, options: FormatOptions = {}) {
+  return formatLines(changes, source, options, (text, { marker }, unchanged) => {
+    const color = unchanged ? '\u001b[2m' : COLORS[marker]
+    return color ? `${color}${text}\u001b[0m` : text
+  })
+}
+
+function escapeHtml(text: string) {
+  return text.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`)
+}
+
+const CLASSES = { ' ': 'same', '+': 'added', '-': 'deleted', '~': 'edited' }
+
+const STYLE = `body { font-family: sans-serif; margin: 2em; }
+pre { font: 13px/1.5 monospace; background: #fafafa; border: 1px solid #ddd; padding: 1em; }
+pre div, pre summary { white-space: pre; }
+.added { background: #e6ffed; color: #22863a; }
+.deleted { background: #ffeef0; color: #b31d28; }
+.edited { background: #fff5b1; color: #735c0f; }
+details, summary { display: block; color: #6a737d; cursor: pointer; }`
+
+/**
+ * Renders changes like `formatText` as a self-contained HTML page, the unchanged values of the `source` document being
+ * folded away in sections that expand on click
+ */
+export function formatHtml(changes: Change | Change[] | null, source?: any, options: HtmlFormatOptions = {}) {
+  const indent = typeof options.indent === 'number' ? options.indent : 2
+  const line = ({ depth, marker, text }: Line) =>
+    `<div class="${CLASSES[marker]}">${escapeHtml(`${marker} ${' '.repeat(depth * indent)}${text}`)}</div>`
+  const body = build(changes, source, options).map(row => {
+    if (!isCollapsed(row)) {
+      return line(row)
+    }
+    const head = line(summary(row))
+    if (!row.lines.length) {
+      return head
+    }
+    const open = options.showUnchanged ? ' open' : ''
+    return `<details${open}><summary>${head}</summary>${row.lines.map(line).join('')}</details>`
+  })
+  const title = escapeHtml(typeof options.title === 'string' ? options.title : 'Changes')
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+${STYLE}
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<pre>${body.join('\n')}</pre>
+</body>
+</html>
+`
+}
@@ -0,0 +1,115 @@
+const expect = require('expect.js')
+const { History } = require('.')
+
+describe('History', function () {
+  function edit(document, change) {
+    const copy = JSON.parse(JSON.stringify(document))
+    change(copy)
+    return copy
+  }
+
+  it('commits versions with their metadata', function () {
+    const history = new History({ title: 'a', tags: [] })
+    const first = history.commit(edit(history.document, function (doc) { doc.title = 'b' }), { author: 'jo' })
+    expect(first).to.eql({
+      changes: [{ kind: 'E', path: ['title'], lhs: 'a', rhs: 'b' }],
+      metadata: { author: 'jo' },
+      version: 1,
+    })
+    expect(history.commit(edit(history.document, function () {}))).to.be(null)
+    history.commitChanges({ kind: 'A', path: ['tags'], index: 0, item: { kind: 'N', rhs: 'x' } }, { author: 'al' })
+    expect(history.document).to.eql({ title: 'b', tags: ['x'] })
+    expect(history.version).to.be(2)
+    expect(history.log().map(function (commit) { return commit.metadata.author })).to.eql(['jo', 'al'])
+  })
+
+  it('undoes and redoes commits', function () {
+    const history = new History({ count: 0 })
+    expect(history.canUndo).to.be(false)
+    expect(history.undo()).to.eql({ count: 0 })
+    history.commit({ count: 1 })
+    history.commit({ count: 2 })
+    expect(history.undo()).to.eql({ count: 1 })
+    expect(history.undo()).to.eql({ count: 0 })
+    expect(history.canRedo).to.be(true)
+    expect(history.redo()).to.eql({ count: 1 })
+    expect(history.version).to.be(1)
+    expect(history.latest).to.be(2)
+    history.commit(['replaced'])
+    expect(history.undo()).to.eql({ count: 1 })
+    expect(history.redo()).to.eql(['replaced'])
+    expect(Object.isFrozen(history.document)).to.be(true)
+  })
+
+  it('drops the undone versions on commit', function () {
+    const history = new History({ count: 0 })
+    history.commit({ count: 1 })
+    history.commit({ count: 2 })
+    history.undo()
+    history.commit({ count: 3 })
+    expect(history.canRedo).to.be(false)
+    expect(history.latest).to.be(2)
+    expect(history.checkout(1)).to.eql({ count: 1 })
+    expect(history.redo()).to.eql({ count: 3 })
+  })
+
+  it('checks out any version from snapshots', function () {
+    const history = new History({ values: [] }, { snapshotInterval: 4 })
+    for (let i = 0; i < 30; i++) {
+      history.commit(edit(history.document, function (doc) { doc.values.push(i) }))
+    }
+    history.undo()
+    history.undo()
+    history.commit({ values: ['reset'] })
+    ;[0, 13, 27, 5, 29, 28, 2, 0].forEach(function (version) {
+      const expected = version === 29 ? ['reset'] : Array.from({ length: version }, function (_, i) { return i })
+      expect(history.checkout(version)).to.eql({ values: expected })
+      expect(history.version).to.be(version)
+    })
+    expect(function () {
+      history.checkout(30)
+    }).to.throwError(/There is no version 30, the latest being 29/)
+    expect(function () {
+      return new History({}, { snapshotInterval: 0 })
+    }).to.throwError(/The snapshot interval must be at least 1/)
+  })
+
+  it('keeps its versions frozen and apart from what is committed', function () {
+    const initial = { user: { name: 'a' }, list: [1] }
+    const history = new History(initial)
+    const next = { user: { name: 'b', address: { city: 'x' } }, list: [1] }
+    history.commit(next)
+    next.user.address.city = 'y'
+    initial.user.name = 'z'
+    expect(Object.isFrozen(history.document.user.address)).to.be(true)
+    expect(history.document.user.address.city).to.be('x')
+    expect(history.checkout(0)).to.eql({ user: { name: 'a' }, list: [1] })
+    const version0 = history.document
+    history.redo()
+    expect(history.document.list).to.be(version0.list)
+  })
+
+  it('blames the commits that touched a path', function () {
+    const history = new History({ user: { name: 'a', age: 1 }, posts: [] })
+    history.commit({ user: { name: 'b', age: 1 }, posts: [] }, 'rename')
+    history.commit({ user: { name: 'b', age: 2 }, posts: [] }, 'birthday')
+    history.commit({ user: { name: 'b', age: 2 }, posts: [{ title: 'x' }] }, 'post')
+    history.commit({ user: { name: 'b', age: 2 }, posts: [{ title: 'y' }] }, 'retitle')
+    history.commit({ user: null, posts: [{ title: 'y' }] }, 'delete')
+    const blame = function (path) {
+      return history.blame(path).map(function (commit) { return commit.metadata })
+    }
+    expect(blame('/user/name')).to.eql(['rename', 'delete'])
+    expect(blame(['user', 'age'])).to.eql(['birthday', 'delete'])
+    expect(blame('/posts/*/title')).to.eql(['post', 'retitle'])
+    expect(blame('/user')).to.eql(['rename', 'birthday', 'delete'])
+  })
+
+  it('keeps the values the redact option would hide', function () {
+    const history = new History({ user: { password: 'a' } }, { redact: ['**/password'] })
+    history.commit({ user: { password: 'b' } })
+    expect(history.document).to.eql({ user: { password: 'b' } })
+    expect(history.undo()).to.eql({ user: { password: 'a' } })
+    expect(history.redo()).to.eql({ user: { password: 'b' } })
+  })
+})
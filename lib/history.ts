@@ -0,0 +1,155 @@
+import cloneDeep from 'lodash.clonedeep'
+import { ApplyOptions, applyChanges, revertChanges } from './apply'
+import { Change } from './changes'
+import { ComparisonOptions, comparisonOptions, diff } from './diff'
+import { targetPath } from './filter'
+import { compileFilter, PathPattern } from './paths'
+
+export interface Commit<M = any> {
+  readonly changes: Change[]
+  /** What was recorded along with the changes, such as their author or time */
+  readonly metadata: M
+  /** The version the changes lead to, the first commit making version 1 */
+  readonly version: number
+}
+
+export interface HistoryOptions extends ComparisonOptions {
+  /** Keep the whole document every this many versions, so reaching any version replays at most half as many commits */
+  readonly snapshotInterval?: number
+}
+
+/**
+ * The versions of a document, each commit holding the changes from the version before. Documents are frozen and share
+ * what they didn't change with the versions before them, so they must be changed through `commit` only.
+ */
+export class History<M = any> {
+  private readonly commits: Array<Commit<M>> = []
+  private current: any
+  private readonly options: HistoryOptions
+  private position = 0
+  private readonly snapshots: any[]
+
+  constructor(initial: any, options: HistoryOptions = {}) {
+    if (typeof options.snapshotInterval !== 'undefined' && !(options.snapshotInterval >= 1)) {
+      throw new RangeError('The snapshot interval must be at least 1')
+    }
+    // the values of the changes make the documents, so redacting them would lose data
+    this.options = { ...comparisonOptions(options), snapshotInterval: options.snapshotInterval }
+    this.current = applyChanges(initial, null, { freeze: true })
+    this.snapshots = [this.current]
+  }
+
+  /** Whether a version that was undone follows the current one */
+  get canRedo() {
+    return this.position < this.commits.length
+  }
+
+  /** Whether there is a version before the current one */
+  get canUndo() {
+    return this.position > 0
+  }
+
+  /** The document at the current version */
+  get document() {
+    return this.current
+  }
+
+  /** The latest version, which `redo` goes back to after `undo` */
+  get latest() {
+    return this.commits.length
+  }
+
+  /** The current version, 0 being the initial document */
+  get version() {
+    return this.position
+  }
+
+  /** The commits that changed the value at a path, the values within it or the values holding it, oldest first */
+  blame(path: PathPattern): Array<Commit<M>> {
+    const { reaches } = compileFilter({ include: [path] })
+    return this.commits.filter(({ changes }) => changes.some(change => reaches(targetPath(change))))
+  }
+
+  /** Moves to a version, replaying the commits from the closest snapshot or from the current version */
+  checkout(version: number) {
+    if (!(version >= 0 && version <= this.commits.length && Math.floor(version) === version)) {
+      throw new RangeError(`There is no version ${version}, the latest being ${this.commits.length}`)
+    }
+    const interval = this.interval()
+    const below = Math.floor(version / interval)
+    const starts = [
+      { document: this.current, from: this.position },
+      { document: this.snapshots[below], from: below * interval },
+    ]
+    if (below + 1 < this.snapshots.length) {
+      starts.push({ document: this.snapshots[below + 1], from: (below + 1) * interval })
+    }
+    const start = starts.reduce(
+      (best, next) => (Math.abs(next.from - version) < Math.abs(best.from - version) ? next : best)
+    )
+    this.current = this.replay(start.document, start.from, version)
+    this.position = version
+    return this.current
+  }
+
+  /**
+   * Records the changes from the current document to `document` as a new version, which drops the versions that were
+   * undone. Returns the commit, or null when nothing changed.
+   */
+  commit(document: any, metadata?: M) {
+    return this.commitChanges(diff(this.current, document, this.options), metadata)
+  }
+
+  /** Records changes to the current document as a new version, as `commit` does */
+  commitChanges(changes: Change | Change[] | null, metadata?: M): Commit<M> | null {
+    // the changes may hold the caller's objects, which are copied so changing them later can't rewrite history
+    const list = cloneDeep(!changes ? [] : Array.isArray(changes) ? changes : [changes])
+    if (!list.length) {
+      return null
+    }
+    const document = this.apply(this.current, list, false)
+    const commit: Commit<M> = { changes: list, metadata: metadata as M, version: this.position + 1 }
+    this.commits.splice(this.position, this.commits.length - this.position, commit)
+    this.snapshots.length = Math.floor(this.position / this.interval()) + 1
+    this.current = document
+    this.position = commit.version
+    if (this.position % this.interval() === 0) {
+      this.snapshots.push(document)
+    }
+    return commit
+  }
+
+  /** The commits leading to the latest version, oldest first */
+  log(): Array<Commit<M>> {
+    return this.commits.slice()
+  }
+
+  /** Moves to the version after the current one, if one was undone */
+  redo() {
+    return this.canRedo ? this.checkout(this.position + 1) : this.current
+  }
+
+  /** Moves to the version before the current one, if there is one */
+  undo() {
+    return this.canUndo ? this.checkout(this.position - 1) : this.current
+  }
+
+  private apply(document: any, changes: Change[], reverting: boolean) {
+    const options: ApplyOptions = { freeze: true, mode: 'share', objectHash: this.options.objectHash }
+    return reverting ? revertChanges(document, changes, options) : applyChanges(document, changes, options)
+  }
+
+  private interval() {
+    return this.options.snapshotInterval || 50
+  }
+
+  private replay(document: any, from: number, to: number) {
+    for (let version = from; version < to; version++) {
+      document = this.apply(document, this.commits[version].changes, false)
+    }
+    for (let version = from; version > to; version--) {
+      document = this.apply(document, this.commits[version - 1].changes, true)
+    }
+    return document
+  }
+}
@@ -267,6 +267,32 @@ describe('yaDiff', function () {
       })
 
     })
+
+    it('hands the hooks copies of the path they can keep', function () {
+      const seen = []
+      diff({ a: { b: [{ id: 1, c: 1 }] } }, { a: { b: [{ id: 1, c: 2 }] } }, {
+        prefilter: function (path, key) {
+          seen.push(['prefilter', path, key])
+        },
+        objectHash: function (item, path) {
+          seen.push(['objectHash', path])
+          return item.id
+        },
+        comparators: [{ normalize: function (value, path) {
+          seen.push(['normalize', path])
+          return value
+        } }],
+      })
+      const kept = seen.map(function (call) {
+        return call[0] + ' ' + call[1].join('.') + (call.length > 2 ? ' ' + call[2] : '')
+      })
+      expect(kept).to.contain('prefilter a.b 0')
+      expect(kept).to.contain('objectHash a.b')
+      expect(kept).to.contain('normalize a.b.0.c')
+      // the hooks called for the same values share a copy
+      const paths = seen.map(function (call) { return call[1] })
+      expect(new Set(paths.filter(function (path) { return path.join('.') === 'a.b' })).size).to.be(1)
+    })
   })
 
   describe('A target that has nested values', function () {
@@ -359,6 +385,198 @@ describe('yaDiff', function () {
 
       expect(applyChanges(lhs, changes)).to.eql(['a', 'c'])
     })
+
+    it('records the elements added to the end first to last', function () {
+      expect(diff({ list: ['a'] }, { list: ['b', 'y', 'z'] })).to.eql([
+        { kind: 'A', path: ['list'], index: 1, item: { kind: 'N', rhs: 'y' } },
+        { kind: 'A', path: ['list'], index: 2, item: { kind: 'N', rhs: 'z' } },
+        { kind: 'E', path: ['list', 0], lhs: 'a', rhs: 'b' },
+      ])
+    })
+
+    it('applies the changes earlier versions recorded', function () {
+      // elements added to or removed from the end were recorded last to first
+      const grown = [
+        { kind: 'E', path: ['list', 0], lhs: 'a', rhs: 'b' },
+        { kind: 'A', path: ['list'], index: 2, item: { kind: 'N', rhs: 'z' } },
+        { kind: 'A', path: ['list'], index: 1, item: { kind: 'N', rhs: 'y' } },
+      ]
+      const shrunk = [
+        { kind: 'A', path: ['list'], index: 2, item: { kind: 'D', lhs: 'z' } },
+        { kind: 'A', path: ['list'], index: 1, item: { kind: 'D', lhs: 'y' } },
+        { kind: 'E', path: ['list', 0], lhs: 'a', rhs: 'b' },
+      ]
+      expect(applyChanges({ list: ['a'] }, grown)).to.eql({ list: ['b', 'y', 'z'] })
+      expect(applyChanges({ list: ['a', 'y', 'z'] }, shrunk)).to.eql({ list: ['b'] })
+      expect(revertChanges({ list: ['b'] }, shrunk)).to.eql({ list: ['a', 'y', 'z'] })
+      expect(revertChanges({ list: ['b', 'y'] }, grown.slice(0, 1).concat(grown.slice(2)))).to.eql({ list: ['a'] })
+    })
+  })
+
+  describe('Comparing arrays as longest common subsequences', function () {
+    const options = { arrays: 'lcs' }
+
+    it('records an insertion at the front as a single change', function () {
+      const lhs = { list: [] }
+      for (let i = 0; i < 500; i++) {
+        lhs.list.push(i)
+      }
+      const rhs = { list: ['first'].concat(lhs.list) }
+      const differences = diff(lhs, rhs, options)
+      expect(differences).to.eql([{ kind: 'A', path: ['list'], index: 0, item: { kind: 'N', rhs: 'first' } }])
+      expect(applyChanges(lhs, differences)).to.eql(rhs)
+      expect(revertChanges(rhs, differences)).to.eql(lhs)
+    })
+
+    it('records removals in the middle', function () {
+      const lhs = ['a', 'b', 'c', 'd', 'e']
+      const rhs = ['a', 'c', 'e']
+      const differences = diff(lhs, rhs, options)
+      expect(differences).to.eql([
+        { kind: 'A', index: 3, item: { kind: 'D', lhs: 'd' } },
+        { kind: 'A', index: 1, item: { kind: 'D', lhs: 'b' } },
+      ])
+      expect(applyChanges(lhs, differences)).to.eql(rhs)
+      expect(revertChanges(rhs, differences)).to.eql(lhs)
+    })
+
+    it('records reordered elements as moves', function () {
+      const lhs = { playlist: [{ song: 1 }, { song: 2 }, { song: 3 }, { song: 4 }] }
+      const rhs = { playlist: [{ song: 2 }, { song: 3 }, { song: 4 }, { song: 1 }] }
+      const differences = diff(lhs, rhs, options)
+      expect(differences).to.eql([{ kind: 'M', path: ['playlist'], from: 0, to: 3 }])
+      expect(applyChanges(lhs, differences)).to.eql(rhs)
+      expect(revertChanges(rhs, differences)).to.eql(lhs)
+    })
+
+    it('diffs replaced elements in place', function () {
+      const lhs = { list: [{ id: 1, name: 'one' }, { id: 2, name: 'two' }, { id: 3, name: 'three' }] }
+      const rhs = { list: [{ id: 0, name: 'zero' }, { id: 1, name: 'one' }, { id: 2, name: 'TWO' }, { id: 3, name: 'three' }] }
+      const differences = diff(lhs, rhs, options)
+      expect(differences).to.eql([
+        { kind: 'A', path: ['list'], index: 0, item: { kind: 'N', rhs: { id: 0, name: 'zero' } } },
+        { kind: 'E', path: ['list', 2, 'name'], lhs: 'two', rhs: 'TWO' },
+      ])
+      expect(applyChanges(lhs, differences)).to.eql(rhs)
+      expect(revertChanges(rhs, differences)).to.eql(lhs)
+    })
+
+    it('round trips mixed insertions, removals and moves', function () {
+      const lhs = { list: ['a', 'b', 'c', 'd', 'e', 'f', { g: [1, 2] }] }
+      const rhs = { list: ['x', 'f', 'a', 'c', 'y', { g: [2, 1, 3] }, 'd', 'b'] }
+      const differences = diff(lhs, rhs, options)
+      expect(differences.filter(change => change.kind === 'M')).to.not.be.empty()
+      expect(applyChanges(lhs, differences)).to.eql(rhs)
+      expect(revertChanges(rhs, differences)).to.eql(lhs)
+    })
+
+    it('keeps as many elements in place as a longest common subsequence', function () {
+      // a small linear congruential generator, so the arrays are the same on every run
+      let seed = 1
+      const random = function (max) {
+        seed = (seed * 48271) % 2147483647
+        return seed % max
+      }
+      const lcsLength = function (a, b) {
+        let previous = new Array(b.length + 1).fill(0)
+        for (let i = 0; i < a.length; i++) {
+          const row = [0]
+          for (let j = 0; j < b.length; j++) {
+            row.push(a[i] === b[j] ? previous[j] + 1 : Math.max(previous[j + 1], row[j]))
+          }
+          previous = row
+        }
+        return previous[b.length]
+      }
+      for (let run = 0; run < 50; run++) {
+        const lhs = Array.from({ length: random(40) }, function () { return random(6) })
+        const rhs = Array.from({ length: random(40) }, function () { return random(6) })
+        const differences = diff(lhs, rhs, options) || []
+        const removed = differences.filter(change => change.kind === 'A' && change.item.kind === 'D').length
+        const moved = differences.filter(change => change.kind === 'M').length
+        // elements replaced between two kept ones are edited in place
+        const edited = differences.filter(change => change.kind === 'E').length
+        expect(lhs.length - removed - moved - edited).to.be(lcsLength(lhs, rhs))
+        expect(applyChanges(lhs, differences)).to.eql(rhs)
+        expect(revertChanges(rhs, differences)).to.eql(lhs)
+      }
+    })
+
+    it('still accepts a prefilter', function () {
+      const differences = diff({ a: [1], b: [1] }, { a: [2, 1], b: [2, 1] }, {
+        arrays: 'lcs',
+        prefilter: (_, key) => key === 'b',
+      })
+      expect(differences).to.eql([{ kind: 'A', path: ['a'], index: 0, item: { kind: 'N', rhs: 2 } }])
+    })
+  })
+
+  describe('Matching array elements by key', function () {
+    const objectHash = function (item) {
+      return item.id
+    }
+    const lhs = {
+      users: [
+        { id: 1, name: 'one', tags: [{ id: 'a' }, { id: 'b' }] },
+        { id: 2, name: 'two' },
+        { id: 3, name: 'three' },
+      ],
+    }
+    const rhs = {
+      users: [
+        { id: 3, name: 'three' },
+        { id: 1, name: 'ONE', tags: [{ id: 'b' }, { id: 'a' }] },
+        { id: 4, name: 'four' },
+      ],
+    }
+
+    it('diffs matched elements wherever they moved', function () {
+      const differences = diff(lhs, rhs, { objectHash })
+      expect(differences).to.eql([
+        { kind: 'A', path: ['users'], index: 1, item: { kind: 'D', lhs: { id: 2, name: 'two' } }, key: 2 },
+        { kind: 'M', path: ['users'], from: 0, to: 1, key: 1 },
+        { kind: 'A', path: ['users'], index: 2, item: { kind: 'N', rhs: { id: 4, name: 'four' } }, key: 4 },
+        { kind: 'A', path: ['users'], index: 1, item: { kind: 'E', path: ['name'], lhs: 'one', rhs: 'ONE' }, key: 1 },
+        { kind: 'A', path: ['users'], index: 1, item: { kind: 'M', path: ['tags'], from: 0, to: 1, key: 'a' }, key: 1 },
+      ])
+    })
+
+    it('passes the path of the array to the hash', function () {
+      const paths = []
+      diff(lhs, rhs, {
+        objectHash: function (item, path) {
+          paths.push(path.join('.'))
+          return item.id
+        },
+      })
+      expect(paths).to.contain('users')
+      expect(paths).to.contain('users.1.tags')
+    })
+
+    it('round trips keyed changes', function () {
+      const differences = diff(lhs, rhs, { objectHash })
+      expect(applyChanges(lhs, differences)).to.eql(rhs)
+      expect(revertChanges(rhs, differences)).to.eql(lhs)
+      expect(applyChanges(lhs, differences, { objectHash })).to.eql(rhs)
+      expect(revertChanges(rhs, differences, { objectHash })).to.eql(lhs)
+    })
+
+    it('replays keyed changes against a reordered target', function () {
+      const differences = diff(lhs, rhs, { objectHash })
+      const target = { users: [lhs.users[2], lhs.users[0], lhs.users[1]] }
+      const result = applyChanges(target, differences, { objectHash })
+      expect(result.users.map(objectHash)).to.eql([3, 1, 4])
+      expect(result.users[1]).to.eql(rhs.users[1])
+      expect(revertChanges(result, differences, { objectHash }).users.map(objectHash)).to.eql([1, 2, 3])
+    })
+
+    it('compares elements without a key by value', function () {
+      const differences = diff({ list: [1, { id: 1 }, 2] }, { list: [{ id: 1 }, 2, 3] }, { objectHash })
+      expect(differences).to.eql([
+        { kind: 'A', path: ['list'], index: 0, item: { kind: 'D', lhs: 1 } },
+        { kind: 'A', path: ['list'], index: 2, item: { kind: 'N', rhs: 3 } },
+      ])
+    })
   })
 
   describe('Comparing regexes should work', function () {
@@ -0,0 +1,163 @@
+const deepFreeze = require('deep-freeze')
+const expect = require('expect.js')
+const { diff, applyChanges, revertChanges, toJsonPatch, fromJsonPatch, applyJsonPatch, PatchTestError } = require('.')
+
+describe('JSON Patch', function () {
+  const lhs = {
+    title: 'draft',
+    'a/b': { 'c~d': 1 },
+    tags: ['a', 'b'],
+    removed: true,
+  }
+  const rhs = {
+    title: 'final',
+    'a/b': { 'c~d': 2 },
+    tags: ['a', 'b', 'c'],
+    added: { nested: [1] },
+  }
+
+  describe('toJsonPatch', function () {
+    it('converts every kind of change', function () {
+      const differences = diff(lhs, rhs)
+      expect(toJsonPatch(differences)).to.eql([
+        { op: 'replace', path: '/title', value: 'final' },
+        { op: 'replace', path: '/a~1b/c~0d', value: 2 },
+        { op: 'add', path: '/tags/2', value: 'c' },
+        { op: 'remove', path: '/removed' },
+        { op: 'add', path: '/added', value: { nested: [1] } },
+      ])
+    })
+
+    it('converts moves and changes nested in array records', function () {
+      const objectHash = function (item) {
+        return item.id
+      }
+      const differences = diff(
+        { list: [{ id: 1, n: 'one' }, { id: 2 }] },
+        { list: [{ id: 2 }, { id: 1, n: 'ONE' }] },
+        { objectHash }
+      )
+      expect(toJsonPatch(differences)).to.eql([
+        { op: 'move', from: '/list/0', path: '/list/1' },
+        { op: 'replace', path: '/list/1/n', value: 'ONE' },
+      ])
+    })
+
+    it('can precede removals and replacements with tests', function () {
+      const differences = diff({ a: 1, b: 2 }, { a: 3 })
+      expect(toJsonPatch(differences, { test: true })).to.eql([
+        { op: 'test', path: '/a', value: 1 },
+        { op: 'replace', path: '/a', value: 3 },
+        { op: 'test', path: '/b', value: 2 },
+        { op: 'remove', path: '/b' },
+      ])
+    })
+
+    it('ignores empty patches', function () {
+      expect(toJsonPatch(null)).to.eql([])
+      expect(toJsonPatch([])).to.eql([])
+    })
+  })
+
+  describe('fromJsonPatch', function () {
+    it('records removed and replaced values from the source document', function () {
+      const changes = fromJsonPatch(toJsonPatch(diff(lhs, rhs)), lhs)
+      expect(changes).to.eql(diff(lhs, rhs))
+      expect(revertChanges(rhs, changes)).to.eql(lhs)
+    })
+
+    it('takes expected values from test operations without a source document', function () {
+      const changes = fromJsonPatch(toJsonPatch(diff(lhs, rhs), { test: true }))
+      expect(changes).to.eql(diff(lhs, rhs))
+    })
+
+    it('unescapes pointers', function () {
+      expect(fromJsonPatch([{ op: 'add', path: '/~01/~10', value: true }])).to.eql([
+        { kind: 'N', path: ['~1', '/0'], rhs: true },
+      ])
+    })
+
+    it('fails a test that does not hold', function () {
+      expect(function () {
+        fromJsonPatch([{ op: 'add', path: '/x', value: 1 }, { op: 'test', path: '/title', value: 'final' }], lhs)
+      }).to.throwError(function (e) {
+        expect(e).to.be.a(PatchTestError)
+        expect(e.message).to.be('Test failed at /title')
+        expect(e.index).to.be(1)
+        expect(e.path).to.be('/title')
+        expect(e.expected).to.be('final')
+        expect(e.actual).to.be('draft')
+      })
+    })
+
+    it('fails operations on missing paths', function () {
+      expect(function () {
+        fromJsonPatch([{ op: 'remove', path: '/missing' }], lhs)
+      }).to.throwError(/does not exist/)
+      expect(function () {
+        fromJsonPatch([{ op: 'replace', path: '/tags/5', value: 1 }], lhs)
+      }).to.throwError(/does not exist/)
+    })
+
+    it('needs the source document to copy', function () {
+      expect(function () {
+        fromJsonPatch([{ op: 'copy', from: '/title', path: '/copy' }])
+      }).to.throwError(/requires the source document/)
+    })
+
+    it('rejects unknown operations', function () {
+      expect(function () {
+        fromJsonPatch([{ op: 'merge', path: '/title' }])
+      }).to.throwError(/Unknown JSON Patch operation/)
+    })
+  })
+
+  describe('applyJsonPatch', function () {
+    it('applies the RFC 6902 operations', function () {
+      const target = deepFreeze({ foo: ['bar', 'baz'], obj: { a: 1 } })
+      const result = applyJsonPatch(target, [
+        { op: 'add', path: '/foo/1', value: 'qux' },
+        { op: 'add', path: '/foo/-', value: 'end' },
+        { op: 'move', from: '/foo/0', path: '/foo/3' },
+        { op: 'copy', from: '/obj', path: '/copy' },
+        { op: 'replace', path: '/copy/a', value: 2 },
+        { op: 'move', from: '/obj/a', path: '/moved' },
+        { op: 'test', path: '/moved', value: 1 },
+        { op: 'remove', path: '/obj' },
+      ])
+      expect(result).to.eql({ foo: ['qux', 'baz', 'end', 'bar'], copy: { a: 2 }, moved: 1 })
+      expect(target).to.eql({ foo: ['bar', 'baz'], obj: { a: 1 } })
+    })
+
+    it('produces the same result as applying the changes', function () {
+      const changes = diff(lhs, rhs, { arrays: 'lcs' })
+      expect(applyJsonPatch(lhs, toJsonPatch(changes))).to.eql(applyChanges(lhs, changes))
+    })
+
+    it('reads back changes to the whole document', function () {
+      for (const [before, after] of [[1, 2], [{}, []], [{ a: 1 }, 'x']]) {
+        const changes = diff(before, after)
+        const operations = toJsonPatch(changes, { test: true })
+        expect(operations).to.eql([{ op: 'test', path: '', value: before }, { op: 'replace', path: '', value: after }])
+        expect(applyJsonPatch(before, operations)).to.eql(after)
+        expect(fromJsonPatch(operations, before)).to.eql(changes)
+        expect(revertChanges(after, fromJsonPatch(operations))).to.eql(before)
+      }
+      const replaced = applyJsonPatch({ a: 1 }, [{ op: 'add', path: '', value: [1] }, { op: 'add', path: '/-', value: 2 }])
+      expect(replaced).to.eql([1, 2])
+      expect(applyJsonPatch({ a: { b: 1 } }, [{ op: 'move', from: '/a', path: '' }])).to.eql({ b: 1 })
+      expect(function () {
+        applyJsonPatch({ a: 1 }, [{ op: 'remove', path: '' }])
+      }).to.throwError(/Cannot remove the whole document/)
+      expect(function () {
+        toJsonPatch(diff(1, undefined))
+      }).to.throwError(/Cannot express removing the whole document/)
+    })
+
+    it('does not apply anything when a test fails', function () {
+      expect(function () {
+        applyJsonPatch(lhs, [{ op: 'replace', path: '/title', value: 'x' }, { op: 'test', path: '/title', value: 'y' }])
+      }).to.throwError(/Test failed/)
+    })
+  })
+})
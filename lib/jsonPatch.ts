@@ -0,0 +1,319 @@
+import cloneDeep from 'lodash.clonedeep'
+import { applyChange, applyChanges } from './apply'
+import { ArrayDiff, Change, DeleteDiff, EditDiff, MoveDiff, NewDiff } from './changes'
+import { isEqual } from './diff'
+
+export interface JsonPatchOperation {
+  readonly from?: string
+  readonly op: 'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test'
+  readonly path: string
+  readonly value?: any
+}
+
+export interface ToJsonPatchOptions {
+  /** Precede every operation that removes or replaces a value with a `test` of the value the change expects there */
+  readonly test?: boolean
+}
+
+export function toPointer(path: any[]) {
+  return path
+    .map(segment => {
+      // Map keys and Set members can be anything, a pointer only holds strings and indices
+      if (typeof segment !== 'string' && typeof segment !== 'number') {
+        throw new Error(`Cannot express the path segment ${String(segment)} in a JSON Pointer`)
+      }
+      return (
+        '/' +
+        String(segment)
+          .replace(/~/g, '~0')
+          .replace(/\//g, '~1')
+      )
+    })
+    .join('')
+}
+
+export function fromPointer(pointer: string) {
+  if (pointer === '') {
+    return []
+  }
+  if (pointer.charAt(0) !== '/') {
+    throw new Error(`Invalid JSON Pointer: ${JSON.stringify(pointer)}`)
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+function toOperations(change: Change, base: any[], test: boolean, operations: JsonPatchOperation[]) {
+  const path = change.path ? base.concat(change.path) : base
+  switch (change.kind) {
+    case 'A':
+      toOperations(change.item, path.concat(change.index), test, operations)
+      break
+    case 'D':
+      if (!path.length) {
+        throw new Error('Cannot express removing the whole document in a JSON Patch')
+      }
+      if (test) {
+        operations.push({ op: 'test', path: toPointer(path), value: change.lhs })
+      }
+      operations.push({ op: 'remove', path: toPointer(path) })
+      break
+    case 'E':
+      if (test) {
+        operations.push({ op: 'test', path: toPointer(path), value: change.lhs })
+      }
+      operations.push({ op: 'replace', path: toPointer(path), value: change.rhs })
+      break
+    case 'M':
+      operations.push({
+        op: 'move',
+        from: toPointer(path.concat(change.from)),
+        path: toPointer(path.concat(change.to)),
+      })
+      break
+    case 'N':
+      operations.push({ op: 'add', path: toPointer(path), value: change.rhs })
+      break
+    case 'B':
+      throw new Error(`Cannot express the byte range change at ${toPointer(path)} in a JSON Patch`)
+    case 'T':
+      throw new Error(`Cannot express the text change at ${toPointer(path)} in a JSON Patch`)
+  }
+}
+
+export function toJsonPatch(changes: Change | Change[] | null, { test = false }: ToJsonPatchOptions = {}) {
+  const operations: JsonPatchOperation[] = []
+  if (!changes) {
+    return operations
+  }
+  for (const change of Array.isArray(changes) ? changes : [changes]) {
+    if (change) {
+      toOperations(change, [], test, operations)
+    }
+  }
+  return operations
+}
+
+const NOT_FOUND = {}
+
+/** A JSON Patch `test` operation that doesn't hold for the document `fromJsonPatch` was given */
+export class PatchTestError extends Error {
+  /** The value found, undefined when there is none */
+  readonly actual: any
+  readonly expected: any
+  /** The position of the operation in the patch */
+  readonly index: number
+  /** The JSON Pointer the operation tests */
+  readonly path: string
+  constructor(index: number, path: string, expected: any, actual: any) {
+    super(`Test failed at ${path}`)
+    this.name = 'PatchTestError'
+    this.actual = actual
+    this.expected = expected
+    this.index = index
+    this.path = path
+  }
+}
+
+function requireFrom({ op, from, path }: JsonPatchOperation) {
+  if (typeof from !== 'string') {
+    throw new Error(`Operation ${op} at ${path} is missing from`)
+  }
+  return from
+}
+
+interface Location {
+  readonly parent: any
+  readonly path: any[]
+  readonly value: any
+}
+
+/**
+ * Turns a pointer into a path, with array indices as numbers. Against a document the containers along the way tell
+ * arrays apart, without one every segment that looks like an index is taken for one.
+ */
+function locate(pointer: string, document: any, hasDocument: boolean, appending = false): Location {
+  const segments = fromPointer(pointer)
+  const path: any[] = []
+  let parent: any
+  let value = hasDocument ? document : NOT_FOUND
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i]
+    parent = value
+    const isIndex = hasDocument ? Array.isArray(parent) : /^(0|[1-9][0-9]*)$/.test(segment)
+    if (hasDocument && (parent === null || typeof parent !== 'object')) {
+      throw new Error(`Path ${pointer} does not exist`)
+    }
+    if (isIndex && segment === '-' && appending && i === segments.length - 1) {
+      if (!hasDocument) {
+        throw new Error(`Appending to ${pointer} requires the source document`)
+      }
+      path.push(parent.length)
+      value = NOT_FOUND
+    } else if (isIndex) {
+      if (!/^(0|[1-9][0-9]*)$/.test(segment)) {
+        throw new Error(`Invalid array index in ${pointer}`)
+      }
+      path.push(Number(segment))
+      value = hasDocument && Number(segment) < parent.length ? parent[segment] : NOT_FOUND
+    } else {
+      path.push(segment)
+      value = hasDocument && Object.prototype.hasOwnProperty.call(parent, segment) ? parent[segment] : NOT_FOUND
+    }
+    if (!hasDocument) {
+      parent = undefined
+    }
+  }
+  return { parent, path, value }
+}
+
+/**
+ * Converts RFC 6902 operations into change records. When given the `source` document they will be applied to, the
+ * operations are checked against it as they are converted, `test` operations included, and removed or replaced values
+ * are recorded so the changes can be reverted. Without it a `test` operation still provides the expected value of a
+ * `remove` or `replace` right after it at the same path.
+ */
+export function fromJsonPatch(operations: JsonPatchOperation[], source?: any) {
+  const hasDocument = typeof source !== 'undefined'
+  let document = cloneDeep(source)
+  const changes: Change[] = []
+  let expected: { readonly path: string; readonly value: any } | undefined
+
+  const push = (change: Change) => {
+    changes.push(change)
+    if (!hasDocument) {
+      return
+    }
+    if (change.path) {
+      applyChange(document, cloneDeep(change), {})
+    } else {
+      // an operation on the whole document replaces it
+      document = cloneDeep((change as EditDiff).rhs)
+    }
+  }
+  const previous = (pointer: string, { value }: Location) => {
+    if (value !== NOT_FOUND) {
+      return cloneDeep(value)
+    }
+    return expected && expected.path === pointer ? cloneDeep(expected.value) : undefined
+  }
+  const add = (pointer: string, value: any) => {
+    const location = locate(pointer, document, hasDocument, true)
+    const path = location.path
+    const last = path[path.length - 1]
+    if (typeof last === 'number') {
+      if (hasDocument && last > location.parent.length) {
+        throw new Error(`Index ${last} is out of bounds at ${pointer}`)
+      }
+      push(new ArrayDiff(path.slice(0, -1), last, new NewDiff(undefined, value)))
+    } else if (location.value !== NOT_FOUND || !path.length) {
+      // there always is a whole document to replace
+      push(new EditDiff(path, previous(pointer, location), value))
+    } else {
+      push(new NewDiff(path, value))
+    }
+  }
+  const remove = (pointer: string) => {
+    if (pointer === '') {
+      throw new Error('Cannot remove the whole document')
+    }
+    const location = locate(pointer, document, hasDocument)
+    const path = location.path
+    const last = path[path.length - 1]
+    if (hasDocument && location.value === NOT_FOUND) {
+      throw new Error(`Path ${pointer} does not exist`)
+    }
+    const lhs = previous(pointer, location)
+    if (typeof last === 'number') {
+      push(new ArrayDiff(path.slice(0, -1), last, new DeleteDiff(undefined, lhs)))
+    } else {
+      push(new DeleteDiff(path, lhs))
+    }
+    return lhs
+  }
+  const move = (origin: string, destination: string) => {
+    if (destination.indexOf(origin + '/') === 0) {
+      throw new Error(`Cannot move ${origin} into itself`)
+    }
+    const from = locate(origin, document, hasDocument)
+    if (hasDocument && from.value === NOT_FOUND) {
+      throw new Error(`Path ${origin} does not exist`)
+    }
+    const to = fromPointer(destination)
+    const index = from.path[from.path.length - 1]
+    if (
+      typeof index === 'number' &&
+      to.length === from.path.length &&
+      toPointer(to.slice(0, -1)) === toPointer(from.path.slice(0, -1))
+    ) {
+      // within the same array
+      const last = to[to.length - 1]
+      if (last === '-' && !hasDocument) {
+        throw new Error(`Appending to ${destination} requires the source document`)
+      }
+      const position = last === '-' ? from.parent.length - 1 : Number(last)
+      if (!/^(0|[1-9][0-9]*|-)$/.test(last) || (hasDocument && position >= from.parent.length)) {
+        throw new Error(`Index ${last} is out of bounds at ${destination}`)
+      }
+      push(new MoveDiff(from.path.slice(0, -1), index, position))
+    } else if (origin !== destination) {
+      if (!hasDocument) {
+        throw new Error(`Operation move at ${destination} requires the source document`)
+      }
+      add(destination, remove(origin))
+    }
+  }
+
+  // the values of the operations are taken as they are, as cloning them turns an own `__proto__` key into the
+  // prototype of the copy before `applyChanges` could refuse it
+  for (const [index, operation] of operations.entries()) {
+    switch (operation.op) {
+      case 'add':
+        add(operation.path, operation.value)
+        break
+      case 'remove':
+        remove(operation.path)
+        break
+      case 'replace':
+        const location = locate(operation.path, document, hasDocument)
+        if (hasDocument && location.value === NOT_FOUND) {
+          throw new Error(`Path ${operation.path} does not exist`)
+        }
+        push(new EditDiff(location.path, previous(operation.path, location), operation.value))
+        break
+      case 'move':
+        move(requireFrom(operation), operation.path)
+        break
+      case 'copy':
+        const from = locate(requireFrom(operation), document, hasDocument)
+        if (!hasDocument) {
+          throw new Error(`Operation copy at ${operation.path} requires the source document`)
+        }
+        if (from.value === NOT_FOUND) {
+          throw new Error(`Path ${operation.from} does not exist`)
+        }
+        add(operation.path, cloneDeep(from.value))
+        break
+      case 'test':
+        if (hasDocument) {
+          const { value } = locate(operation.path, document, hasDocument)
+          if (value === NOT_FOUND || !isEqual(value, operation.value)) {
+            throw new PatchTestError(index, operation.path, operation.value, value === NOT_FOUND ? undefined : value)
+          }
+        }
+        expected = { path: operation.path, value: operation.value }
+        continue
+      default:
+        throw new Error(`Unknown JSON Patch operation ${JSON.stringify((operation as any).op)}`)
+    }
+    expected = undefined
+  }
+  return changes
+}
+
+/** Applies RFC 6902 operations, returning a new object like `applyChanges` does */
+export function applyJsonPatch(target: any, operations: JsonPatchOperation[]) {
+  return applyChanges(target, fromJsonPatch(operations, target))
+}
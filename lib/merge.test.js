@@ -0,0 +1,149 @@
+const deepFreeze = require('deep-freeze')
+const expect = require('expect.js')
+const { merge } = require('.')
+
+describe('Three-way merge', function () {
+  const base = deepFreeze({
+    title: 'draft',
+    body: 'text',
+    meta: { views: 1, tags: ['a', 'b', 'c'] },
+  })
+
+  it('takes the changes of both sides when they do not overlap', function () {
+    const ours = { title: 'final', body: 'text', meta: { views: 1, tags: ['a', 'b', 'c'] } }
+    const theirs = { title: 'draft', body: 'text', meta: { views: 2, tags: ['a', 'b', 'c'] }, extra: true }
+    expect(merge(base, ours, theirs)).to.eql({
+      result: { title: 'final', body: 'text', meta: { views: 2, tags: ['a', 'b', 'c'] }, extra: true },
+      conflicts: [],
+    })
+  })
+
+  it('does not conflict when both sides made the same change', function () {
+    const changed = { title: 'final', body: 'text', meta: { views: 1, tags: ['a', 'b', 'c'] } }
+    expect(merge(base, changed, changed)).to.eql({ result: changed, conflicts: [] })
+  })
+
+  it('reports conflicting changes with the values of all sides', function () {
+    const ours = { title: 'ours', body: 'text', meta: { views: 1, tags: ['a', 'b', 'c'] } }
+    const theirs = { title: 'theirs', body: 'text' }
+    const { result, conflicts } = merge(base, ours, theirs)
+    expect(conflicts).to.eql([{ path: ['title'], base: 'draft', ours: 'ours', theirs: 'theirs' }])
+    expect(result).to.eql({ title: 'draft', body: 'text' })
+  })
+
+  it('reports a deleted value as undefined', function () {
+    const { result, conflicts } = merge({ a: { b: 1 } }, { a: { b: 2 } }, {})
+    expect(conflicts).to.eql([{ path: ['a'], base: { b: 1 }, ours: { b: 2 }, theirs: undefined }])
+    expect(result).to.eql({ a: { b: 1 } })
+  })
+
+  it('keeps the values the redact option would hide', function () {
+    const { result } = merge({ p: 'a', q: 1 }, { p: 'b', q: 1 }, { p: 'a', q: 2 }, { redact: ['/p'] })
+    expect(result).to.eql({ p: 'b', q: 2 })
+  })
+
+  it('keeps own __proto__ keys of either side as keys', function () {
+    const user = function () {
+      return JSON.parse('{ "name": "x", "__proto__": { "isAdmin": true } }')
+    }
+    const taken = merge({}, { user: user() }, {}).result
+    expect(taken.user.isAdmin).to.be(undefined)
+    expect(Object.getPrototypeOf(taken.user)).to.be(Object.prototype)
+    expect(Object.keys(taken.user)).to.eql(['name', '__proto__'])
+    const listed = merge({ list: [1] }, { list: [user(), 1] }, { list: [1, 2] }).result
+    expect(listed.list[0].isAdmin).to.be(undefined)
+    const resolved = merge({ a: 1 }, { a: 2 }, { a: 3 }, { resolve: function () {
+      return { value: user() }
+    } }).result
+    expect(resolved.a.isAdmin).to.be(undefined)
+    expect({}.isAdmin).to.be(undefined)
+  })
+
+  describe('resolving conflicts', function () {
+    const ours = { title: 'ours', body: 'ours' }
+    const theirs = { title: 'theirs', body: 'theirs' }
+
+    it('can always take one side', function () {
+      expect(merge(base, ours, theirs, { resolve: 'ours' })).to.eql({ result: ours, conflicts: [] })
+      expect(merge(base, ours, theirs, { resolve: 'theirs' })).to.eql({ result: theirs, conflicts: [] })
+    })
+
+    it('can decide per path', function () {
+      const { result, conflicts } = merge(base, ours, theirs, {
+        resolve: function (conflict) {
+          if (conflict.path[0] === 'title') {
+            return { value: conflict.ours + ' & ' + conflict.theirs }
+          }
+          if (conflict.path[0] === 'body') {
+            return undefined
+          }
+          return 'theirs'
+        },
+      })
+      expect(result).to.eql({ title: 'ours & theirs', body: 'text' })
+      expect(conflicts).to.eql([{ path: ['body'], base: 'text', ours: 'ours', theirs: 'theirs' }])
+    })
+
+    it('resolves conflicting runs of array elements with arrays only', function () {
+      const lists = [{ list: [1, 2, 3] }, { list: [1, 4, 3] }, { list: [1, 5, 6, 3] }]
+      const resolve = function (conflict) {
+        expect(conflict).to.eql({ path: ['list'], index: 1, base: [2], ours: [4], theirs: [5, 6] })
+        return { value: conflict.ours.concat(conflict.theirs) }
+      }
+      expect(merge(...lists, { resolve })).to.eql({ result: { list: [1, 4, 5, 6, 3] }, conflicts: [] })
+      for (const value of ['merged', 5]) {
+        expect(function () {
+          merge(...lists, { resolve: () => ({ value }) })
+        }).to.throwError(/The value resolving the conflicting run at index 1 of \["list"\] must be an array/)
+      }
+    })
+  })
+
+  describe('arrays', function () {
+    it('merges insertions at different places', function () {
+      const { result, conflicts } = merge({ list: [1, 2, 3] }, { list: [0, 1, 2, 3] }, { list: [1, 2, 3, 4] })
+      expect(result).to.eql({ list: [0, 1, 2, 3, 4] })
+      expect(conflicts).to.be.empty()
+    })
+
+    it('merges a removal and an insertion', function () {
+      const { result, conflicts } = merge({ list: [1, 2, 3] }, { list: [1, 3] }, { list: [1, 2, 3, 4] })
+      expect(result).to.eql({ list: [1, 3, 4] })
+      expect(conflicts).to.be.empty()
+    })
+
+    it('merges changes to different properties of the same element', function () {
+      const { result, conflicts } = merge(
+        { list: [{ a: 1, b: 1 }, 'x'] },
+        { list: [{ a: 2, b: 1 }, 'x'] },
+        { list: [{ a: 1, b: 2 }, 'x'] }
+      )
+      expect(result).to.eql({ list: [{ a: 2, b: 2 }, 'x'] })
+      expect(conflicts).to.be.empty()
+    })
+
+    it('reports conflicting runs of elements once', function () {
+      const lhs = { list: ['a', 'b', 'c', 'd'] }
+      const ours = { list: ['a', 'x', 'y', 'd'] }
+      const theirs = { list: ['a', 'z', 'd'] }
+      const { result, conflicts } = merge(lhs, ours, theirs)
+      expect(conflicts).to.eql([{ path: ['list'], index: 1, base: ['b', 'c'], ours: ['x', 'y'], theirs: ['z'] }])
+      expect(result).to.eql(lhs)
+      expect(merge(lhs, ours, theirs, { resolve: 'ours' }).result).to.eql(ours)
+    })
+
+    it('merges elements by key', function () {
+      const objectHash = function (item) {
+        return item.id
+      }
+      const { result, conflicts } = merge(
+        { users: [{ id: 1, name: 'one' }, { id: 2, name: 'two' }] },
+        { users: [{ id: 0, name: 'zero' }, { id: 1, name: 'ONE' }, { id: 2, name: 'two' }] },
+        { users: [{ id: 1, name: 'one' }, { id: 2, name: 'TWO' }] },
+        { objectHash }
+      )
+      expect(result).to.eql({ users: [{ id: 0, name: 'zero' }, { id: 1, name: 'ONE' }, { id: 2, name: 'TWO' }] })
+      expect(conflicts).to.be.empty()
+    })
+  })
+})
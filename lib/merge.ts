@@ -0,0 +1,241 @@
+import { applyChanges } from './apply'
+import { commonElements, elementClasses } from './arrays'
+import { Change } from './changes'
+import { cloneValue, getChild, setChild } from './collections'
+import { ComparisonOptions, comparisonOptions, diff, isEqual, realTypeOf } from './diff'
+
+export interface MergeConflict {
+  readonly base: any
+  /** For conflicting runs of array elements, the index of the run in the merged array, the values are then arrays */
+  readonly index?: number
+  readonly ours: any
+  readonly path: any[]
+  readonly theirs: any
+}
+
+export type MergeResolution = 'ours' | 'theirs' | { readonly value: any } | undefined
+
+export type MergeResolver = (conflict: MergeConflict) => MergeResolution
+
+export interface MergeOptions extends ComparisonOptions {
+  /**
+   * Settles conflicts, either always on one side or by a function called with every conflict which returns the side to
+   * take, the `value` to use instead, or nothing to leave the base value and report the conflict
+   */
+  readonly resolve?: 'ours' | 'theirs' | MergeResolver
+}
+
+export interface MergeResult {
+  readonly conflicts: MergeConflict[]
+  readonly result: any
+}
+
+// stands for a property one side doesn't have
+const MISSING = {}
+
+// values are copied keeping own `__proto__` keys as keys, which `cloneDeep` would make the prototype of the result
+function copy(value: any) {
+  return value === MISSING ? value : cloneValue(value)
+}
+
+function same(a: any, b: any) {
+  return a === MISSING || b === MISSING ? a === b : isEqual(a, b)
+}
+
+function getIn(subject: any, path: any[]) {
+  for (const segment of path) {
+    if (subject === null || typeof subject !== 'object' || !Object.prototype.hasOwnProperty.call(subject, segment)) {
+      return MISSING
+    }
+    subject = subject[segment]
+  }
+  return subject
+}
+
+function setIn(subject: any, path: any[], value: any) {
+  for (let i = 0; i < path.length - 1; i++) {
+    subject = getChild(subject, path[i])
+  }
+  if (value === MISSING) {
+    delete subject[path[path.length - 1]]
+  } else {
+    setChild(subject, path[path.length - 1], value)
+  }
+}
+
+function overlaps(a: any[], b: any[]) {
+  const length = Math.min(a.length, b.length)
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) {
+      return false
+    }
+  }
+  return true
+}
+
+// Changes within an array shift each other's indices, so a whole array is the smallest unit two sides can share
+function unitOf(change: Change) {
+  const path = change.path || []
+  const boundary = path.findIndex(segment => typeof segment === 'number')
+  return boundary >= 0 ? path.slice(0, boundary) : path
+}
+
+class Merger {
+  readonly conflicts: MergeConflict[] = []
+  readonly options: MergeOptions
+
+  constructor(options: MergeOptions) {
+    this.options = options
+  }
+
+  conflict(conflict: MergeConflict) {
+    const { resolve } = this.options
+    const resolution = typeof resolve === 'function' ? resolve(this.expose(conflict)) : resolve
+    if (resolution === 'ours' || resolution === 'theirs') {
+      return copy(conflict[resolution])
+    }
+    if (resolution && typeof resolution === 'object') {
+      return cloneValue(resolution.value)
+    }
+    this.conflicts.push(this.expose(conflict))
+    return copy(conflict.base)
+  }
+
+  expose({ base, ours, theirs, ...rest }: MergeConflict): MergeConflict {
+    const value = (subject: any) => (subject === MISSING ? undefined : subject)
+    return { ...rest, base: value(base), ours: value(ours), theirs: value(theirs) }
+  }
+
+  // A three-way merge of sequences: runs of elements kept by both sides anchor the runs in between, which are taken from
+  // whichever side changed them
+  mergeArrays(base: any[], ours: any[], theirs: any[], path: any[]) {
+    const { objectHash } = this.options
+    const keyOf = objectHash && ((item: any) => objectHash(item, path))
+    const matching = (side: any[]) => {
+      const classes = elementClasses(base, side, { isEqual, keyOf })
+      return new Map(commonElements(classes.lhs, classes.rhs))
+    }
+    const ourMatches = matching(ours)
+    const theirMatches = matching(theirs)
+    const sameRun = (a: any[], b: any[]) => a.length === b.length && a.every((item, i) => isEqual(item, b[i]))
+
+    const result: any[] = []
+    let i = 0
+    let o = 0
+    let t = 0
+    while (true) {
+      while (i < base.length && ourMatches.get(i) === o && theirMatches.get(i) === t) {
+        // keyed elements are the same element however they were changed
+        result.push(
+          keyOf ? this.mergeValues(base[i], ours[o], theirs[t], path.concat(result.length)) : cloneValue(ours[o])
+        )
+        i++
+        o++
+        t++
+      }
+      if (i >= base.length && o >= ours.length && t >= theirs.length) {
+        break
+      }
+      let next = i
+      while (next < base.length && !(ourMatches.has(next) && theirMatches.has(next))) {
+        next++
+      }
+      const nextO = next < base.length ? ourMatches.get(next)! : ours.length
+      const nextT = next < base.length ? theirMatches.get(next)! : theirs.length
+      const baseRun = base.slice(i, next)
+      const ourRun = ours.slice(o, nextO)
+      const theirRun = theirs.slice(t, nextT)
+
+      if (sameRun(ourRun, baseRun) || sameRun(ourRun, theirRun)) {
+        result.push(...cloneValue(theirRun))
+      } else if (sameRun(theirRun, baseRun)) {
+        result.push(...cloneValue(ourRun))
+      } else if (baseRun.length === ourRun.length && baseRun.length === theirRun.length) {
+        for (let k = 0; k < baseRun.length; k++) {
+          result.push(this.mergeValues(baseRun[k], ourRun[k], theirRun[k], path.concat(result.length)))
+        }
+      } else {
+        const index = result.length
+        const run = this.conflict({ path, index, base: baseRun, ours: ourRun, theirs: theirRun })
+        if (!Array.isArray(run)) {
+          throw new TypeError(
+            `The value resolving the conflicting run at index ${index} of ${JSON.stringify(path)} must be an array`
+          )
+        }
+        result.push(...run)
+      }
+      i = next
+      o = nextO
+      t = nextT
+    }
+    return result
+  }
+
+  mergeObjects(base: any, ours: any, theirs: any, path: any[]) {
+    const { prefilter, objectHash } = this.options
+    const options: MergeOptions = {
+      ...this.options,
+      prefilter: prefilter && ((at: any[], key: any) => prefilter(path.concat(at), key)),
+      objectHash: objectHash && ((item: any, at: any[]) => objectHash(item, path.concat(at))),
+    }
+    const ourChanges = diff(base, ours, options) || []
+    const theirChanges = diff(base, theirs, options) || []
+
+    // wherever both sides changed something the values are merged as a whole, everything else is applied as is
+    const regions: any[][] = []
+    for (const ourChange of ourChanges) {
+      for (const theirChange of theirChanges) {
+        const ourUnit = unitOf(ourChange)
+        const theirUnit = unitOf(theirChange)
+        if (overlaps(ourUnit, theirUnit)) {
+          regions.push(ourUnit.length < theirUnit.length ? ourUnit : theirUnit)
+        }
+      }
+    }
+    regions.sort((a, b) => a.length - b.length)
+    const distinct = regions.filter((region, i) => !regions.slice(0, i).some(other => overlaps(region, other)))
+    const isFree = (change: Change) => !distinct.some(region => overlaps(unitOf(change), region))
+
+    const result = applyChanges(base, ourChanges.filter(isFree).concat(theirChanges.filter(isFree)), options)
+    for (const region of distinct) {
+      const value = this.mergeValues(
+        getIn(base, region),
+        getIn(ours, region),
+        getIn(theirs, region),
+        path.concat(region)
+      )
+      setIn(result, region, value)
+    }
+    return result
+  }
+
+  mergeValues(base: any, ours: any, theirs: any, path: any[]): any {
+    if (same(ours, theirs) || same(base, theirs)) {
+      return copy(ours)
+    }
+    if (same(base, ours)) {
+      return copy(theirs)
+    }
+    if (base === MISSING || ours === MISSING || theirs === MISSING) {
+      return this.conflict({ path, base, ours, theirs })
+    }
+    if (Array.isArray(base) && Array.isArray(ours) && Array.isArray(theirs)) {
+      return this.mergeArrays(base, ours, theirs, path)
+    }
+    if (realTypeOf(base) === 'object' && realTypeOf(ours) === 'object' && realTypeOf(theirs) === 'object') {
+      return this.mergeObjects(base, ours, theirs, path)
+    }
+    return this.conflict({ path, base, ours, theirs })
+  }
+}
+
+/**
+ * Merges the changes made to `base` in `ours` and in `theirs`. Changes only one side made are taken as they are, values
+ * both sides changed differently are merged further down where possible and reported as conflicts otherwise.
+ */
+export function merge(base: any, ours: any, theirs: any, options: MergeOptions = {}): MergeResult {
+  // the values of the changes make the result, so redacting them would lose data
+  const merger = new Merger({ ...comparisonOptions(options), resolve: options.resolve })
+  const result = merger.mergeValues(base, ours, theirs, [])
+  return { result, conflicts: merger.conflicts }
+}
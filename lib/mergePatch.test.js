@@ -0,0 +1,99 @@
+const deepFreeze = require('deep-freeze')
+const expect = require('expect.js')
+const { diff, toMergePatch, changesToMergePatch, applyMergePatch } = require('.')
+
+describe('JSON Merge Patch', function () {
+  const lhs = {
+    title: 'Goodbye!',
+    author: { givenName: 'John', familyName: 'Doe' },
+    tags: ['example', 'sample'],
+    content: 'This will be unchanged',
+  }
+  const rhs = {
+    title: 'Hello!',
+    author: { givenName: 'John' },
+    tags: ['example'],
+    content: 'This will be unchanged',
+    phoneNumber: '+01-123-456-7890',
+  }
+
+  describe('toMergePatch', function () {
+    it('builds the patch of the RFC 7386 example', function () {
+      expect(toMergePatch(lhs, rhs)).to.eql({
+        title: 'Hello!',
+        author: { familyName: null },
+        tags: ['example'],
+        phoneNumber: '+01-123-456-7890',
+      })
+    })
+
+    it('is empty when nothing changed', function () {
+      expect(toMergePatch(lhs, lhs)).to.eql({})
+    })
+
+    it('replaces the whole document when its type changed', function () {
+      expect(toMergePatch({ a: 1 }, ['a'])).to.eql(['a'])
+    })
+
+    it('cannot set a value to null', function () {
+      expect(function () {
+        toMergePatch({ a: 1 }, { a: null })
+      }).to.throwError(/Cannot set a to null/)
+      expect(function () {
+        toMergePatch({}, { a: { b: null } })
+      }).to.throwError(/Cannot set a.b to null/)
+    })
+
+    it('can keep nulls within arrays', function () {
+      expect(toMergePatch({ a: [1] }, { a: [null] })).to.eql({ a: [null] })
+    })
+  })
+
+  describe('changesToMergePatch', function () {
+    it('converts changes outside of arrays', function () {
+      const changes = diff({ a: { b: 1, c: 2 } }, { a: { b: 2 }, d: { e: 'f' } })
+      expect(changesToMergePatch(changes)).to.eql({ a: { b: 2, c: null }, d: { e: 'f' } })
+    })
+
+    it('cannot express changes within arrays on their own', function () {
+      expect(function () {
+        changesToMergePatch(diff(lhs, rhs))
+      }).to.throwError(/Cannot express the change within the array at tags/)
+    })
+
+    it('replaces whole arrays given the source document', function () {
+      expect(changesToMergePatch(diff(lhs, rhs), lhs)).to.eql(toMergePatch(lhs, rhs))
+    })
+  })
+
+  describe('applyMergePatch', function () {
+    it('applies the patch of the RFC 7386 example', function () {
+      const target = deepFreeze(JSON.parse(JSON.stringify(lhs)))
+      expect(applyMergePatch(target, toMergePatch(lhs, rhs))).to.eql(rhs)
+      expect(target).to.eql(lhs)
+    })
+
+    it('follows the RFC 7386 test cases', function () {
+      const cases = [
+        [{ a: 'b' }, { a: 'c' }, { a: 'c' }],
+        [{ a: 'b' }, { b: 'c' }, { a: 'b', b: 'c' }],
+        [{ a: 'b' }, { a: null }, {}],
+        [{ a: 'b', b: 'c' }, { a: null }, { b: 'c' }],
+        [{ a: ['b'] }, { a: 'c' }, { a: 'c' }],
+        [{ a: 'c' }, { a: ['b'] }, { a: ['b'] }],
+        [{ a: { b: 'c' } }, { a: { b: 'd', c: null } }, { a: { b: 'd' } }],
+        [{ a: [{ b: 'c' }] }, { a: [1] }, { a: [1] }],
+        [['a', 'b'], ['c', 'd'], ['c', 'd']],
+        [{ a: 'b' }, ['c'], ['c']],
+        [{ a: 'foo' }, null, null],
+        [{ a: 'foo' }, 'bar', 'bar'],
+        [{ e: null }, { a: 1 }, { e: null, a: 1 }],
+        [[1, 2], { a: 'b', c: null }, { a: 'b' }],
+        [{}, { a: { bb: { ccc: null } } }, { a: { bb: {} } }],
+      ]
+      cases.forEach(function ([target, patch, result]) {
+        expect(applyMergePatch(target, patch)).to.eql(result)
+      })
+    })
+  })
+})
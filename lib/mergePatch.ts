@@ -0,0 +1,111 @@
+import cloneDeep from 'lodash.clonedeep'
+import { applyChanges } from './apply'
+import { Change } from './changes'
+import { getChild, setChild } from './collections'
+import { diff, realTypeOf } from './diff'
+
+function describePath(path: any[]) {
+  return path.length ? path.join('.') : 'the document'
+}
+
+// null means "delete" in a merge patch, so no object in a value it sets may hold one
+function assertExpressible(value: any, path: any[]) {
+  if (value === null) {
+    throw new Error(`Cannot set ${describePath(path)} to null in a merge patch`)
+  }
+  if (realTypeOf(value) === 'object') {
+    for (const key of Object.keys(value)) {
+      assertExpressible(value[key], path.concat(key))
+    }
+  }
+}
+
+function getIn(subject: any, path: any[]) {
+  for (const segment of path) {
+    subject = subject[segment]
+  }
+  return subject
+}
+
+/**
+ * Builds the merge patch for `changes`. Arrays can only be replaced whole in a merge patch, so a change within one needs
+ * the `updated` document to read the whole new array from.
+ */
+function buildMergePatch(changes: Change[], updated: any, hasUpdated: boolean) {
+  let patch: any = {}
+  for (const change of changes) {
+    if (!change) {
+      continue
+    }
+    let path = change.path || []
+    let value: any
+    const boundary = path.findIndex(segment => typeof segment === 'number')
+    if (boundary >= 0 || change.kind === 'A' || change.kind === 'M' || change.kind === 'T' || change.kind === 'B') {
+      path = boundary >= 0 ? path.slice(0, boundary) : path
+      if (!hasUpdated) {
+        // text and byte range changes can only be expressed by setting the whole value
+        const partial = change.kind === 'T' ? 'text change' : change.kind === 'B' ? 'byte range change' : undefined
+        const what = boundary < 0 && partial ? partial : 'change within the array'
+        throw new Error(`Cannot express the ${what} at ${describePath(path)} in a merge patch`)
+      }
+      value = cloneDeep(getIn(updated, path))
+    } else if (change.kind === 'D') {
+      value = null
+    } else {
+      assertExpressible(change.rhs, path)
+      value = cloneDeep(change.rhs)
+    }
+
+    if (!path.length) {
+      patch = value
+      continue
+    }
+    let parent = patch
+    for (let i = 0; i < path.length - 1 && parent; i++) {
+      if (realTypeOf(parent[path[i]]) !== 'object') {
+        parent[path[i]] = {}
+      }
+      parent = parent[path[i]]
+    }
+    if (realTypeOf(parent) === 'object') {
+      parent[path[path.length - 1]] = value
+    }
+  }
+  return patch
+}
+
+/**
+ * Converts changes to an RFC 7386 merge patch. Changes within arrays can only be expressed by replacing the whole array,
+ * and text and byte range changes by setting the whole value, which requires the `source` document the changes apply to, without it
+ * they throw.
+ */
+export function changesToMergePatch(changes: Change | Change[] | null, source?: any) {
+  changes = !changes ? [] : Array.isArray(changes) ? changes : [changes]
+  const hasSource = typeof source !== 'undefined'
+  return buildMergePatch(changes, hasSource ? applyChanges(source, changes) : undefined, hasSource)
+}
+
+/** Builds the RFC 7386 merge patch turning `lhs` into `rhs` */
+export function toMergePatch(lhs: any, rhs: any) {
+  return buildMergePatch(diff(lhs, rhs) || [], rhs, true)
+}
+
+function mergePatch(target: any, patch: any) {
+  if (realTypeOf(patch) !== 'object') {
+    return cloneDeep(patch)
+  }
+  const result = realTypeOf(target) === 'object' ? target : {}
+  for (const key of Object.keys(patch)) {
+    if (patch[key] === null) {
+      delete result[key]
+    } else {
+      setChild(result, key, mergePatch(getChild(result, key), patch[key]))
+    }
+  }
+  return result
+}
+
+/** Applies an RFC 7386 merge patch, returning a new object like `applyChanges` does */
+export function applyMergePatch(target: any, patch: any) {
+  return mergePatch(cloneDeep(target), patch)
+}
@@ -0,0 +1,150 @@
+/**
+ * A path pattern: a JSON Pointer or glob-style path of segments separated by slashes, or an array of segments. `'*'`
+ * stands for any one segment, `'**'` for any number of them, and a `*` within a segment for any characters.
+ */
+export type PathPattern = string | ReadonlyArray<any>
+
+export interface PathFilter {
+  /** Leaves out the values at the paths matching any of these patterns, and everything within them */
+  readonly exclude?: PathPattern[]
+  /** Only keeps the values at the paths matching any of these patterns, and everything within them */
+  readonly include?: PathPattern[]
+}
+
+function toSegment(segment: any) {
+  if (typeof segment !== 'string' || segment === '*' || segment === '**' || segment.indexOf('*') < 0) {
+    return segment
+  }
+  const source = segment
+    .split('*')
+    .map(part => part.replace(/[\\^$.+?()[\]{}|]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${source}$`)
+}
+
+/** The segments of a pattern, globs within segments made regular expressions */
+export function toSegments(pattern: PathPattern): any[] {
+  if (typeof pattern !== 'string') {
+    return pattern.map(toSegment)
+  }
+  if (pattern === '' || pattern === '/') {
+    return []
+  }
+  return pattern
+    .replace(/^\//, '')
+    .split('/')
+    .map(segment => toSegment(segment.replace(/~1/g, '/').replace(/~0/g, '~')))
+}
+
+function matchesSegment(pattern: any, segment: any) {
+  if (pattern instanceof RegExp) {
+    return (typeof segment === 'string' || typeof segment === 'number') && pattern.test(String(segment))
+  }
+  return pattern === '*' || pattern === segment || (typeof segment === 'number' && pattern === String(segment))
+}
+
+// The positions in a pattern reached from these ones without reading a segment, a `'**'` matching none
+function closure(pattern: any[], positions: number[]) {
+  const reached = new Set<number>()
+  for (let position of positions) {
+    while (!reached.has(position)) {
+      reached.add(position)
+      if (pattern[position] !== '**') {
+        break
+      }
+      position++
+    }
+  }
+  return reached
+}
+
+// The positions in a pattern reached by reading one more segment of a path, a `'**'` staying put to read more
+function advance(pattern: any[], positions: Set<number>, segment: any) {
+  const next: number[] = []
+  positions.forEach(position => {
+    if (pattern[position] === '**') {
+      next.push(position)
+    } else if (position < pattern.length && matchesSegment(pattern[position], segment)) {
+      next.push(position + 1)
+    }
+  })
+  return closure(pattern, next)
+}
+
+/** Whether `path` matches `pattern` as a whole, read in one pass tracking every position of the pattern it reaches */
+export function matchesPath(pattern: PathPattern, path: any[]) {
+  const segments = toSegments(pattern)
+  let positions = closure(segments, [0])
+  for (let at = 0; at < path.length && positions.size; at++) {
+    positions = advance(segments, positions, path[at])
+  }
+  return positions.has(segments.length)
+}
+
+// Where the segments read so far leave a pattern: the positions they reach, and whether they or fewer of them matched
+// it as a whole
+interface PatternState {
+  readonly positions: Set<number>
+  readonly within: boolean
+}
+
+function startPattern(pattern: any[]): PatternState {
+  const positions = closure(pattern, [0])
+  return { positions, within: positions.has(pattern.length) }
+}
+
+function enterPattern(pattern: any[], state: PatternState, segment: any): PatternState {
+  // a path within a matching one matches too, and one no position is left for never will
+  if (state.within || !state.positions.size) {
+    return state
+  }
+  const positions = advance(pattern, state.positions, segment)
+  return { positions, within: positions.has(pattern.length) }
+}
+
+/** Where a path stands against include and exclude patterns, carried down a traversal one segment at a time */
+export interface FilterScope {
+  /** Whether the value at the path is kept */
+  readonly keeps: boolean
+  /** Whether the value at the path, or a value within it, may be kept */
+  readonly reaches: boolean
+  /** The scope of the value at `segment` within the one at the path */
+  enter(segment: any): FilterScope
+}
+
+function scopeOf(
+  excluded: any[][],
+  included: any[][] | undefined,
+  excludedStates: PatternState[],
+  includedStates: PatternState[] | undefined
+): FilterScope {
+  const isExcluded = excludedStates.some(state => state.within)
+  return {
+    keeps: !isExcluded && (!includedStates || includedStates.some(state => state.within)),
+    reaches: !isExcluded && (!includedStates || includedStates.some(state => state.within || state.positions.size > 0)),
+    enter: segment =>
+      scopeOf(
+        excluded,
+        included,
+        excludedStates.map((state, i) => enterPattern(excluded[i], state, segment)),
+        included && includedStates!.map((state, i) => enterPattern(included[i], state, segment))
+      ),
+  }
+}
+
+/**
+ * Tests paths against include and exclude patterns: `keeps` tells whether the value at a path is kept, and `reaches`
+ * whether a value within it may be. `scope` is where the empty path stands, for traversals to enter segment by segment
+ * rather than test whole paths.
+ */
+export function compileFilter({ exclude, include }: PathFilter) {
+  const excluded = (exclude || []).map(toSegments)
+  const included = include && include.map(toSegments)
+  const scope = scopeOf(excluded, included, excluded.map(startPattern), included && included.map(startPattern))
+  const at = (path: any[]): FilterScope => path.reduce((current: FilterScope, segment) => current.enter(segment), scope)
+  return {
+    keeps: (path: any[]) => at(path).keeps,
+    reaches: (path: any[]) => at(path).reaches,
+    scope,
+  }
+}
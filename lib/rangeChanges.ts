@@ -0,0 +1,25 @@
+import { BaseDiff } from './baseDiff'
+import { ByteRange } from './bytes'
+import { TextHunk } from './text'
+
+export class TextDiff extends BaseDiff {
+  readonly hunks: TextHunk[]
+  readonly kind = 'T'
+  constructor(path: any[] | undefined, hunks: TextHunk[]) {
+    super(path)
+    this.hunks = hunks
+  }
+}
+
+export class BytesDiff extends BaseDiff implements ByteRange {
+  readonly index: number
+  readonly kind = 'B'
+  readonly lhs: any[]
+  readonly rhs: any[]
+  constructor(path: any[] | undefined, index: number, origin: any[], value: any[]) {
+    super(path)
+    this.index = index
+    this.lhs = origin
+    this.rhs = value
+  }
+}
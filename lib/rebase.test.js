@@ -0,0 +1,87 @@
+const deepFreeze = require('deep-freeze')
+const expect = require('expect.js')
+const { diff, applyChanges, rebaseChanges } = require('.')
+
+describe('Rebasing changes', function () {
+  const base = deepFreeze({ title: 'draft', tags: ['a', 'b', 'c'], meta: { views: 1, owner: 'jo' } })
+
+  function rebaseOnto(local, remote, options) {
+    const localChanges = diff(base, local, options) || []
+    const remoteChanges = diff(base, remote, options) || []
+    const { changes, conflicts } = rebaseChanges(localChanges, remoteChanges)
+    return { result: applyChanges(remote, changes, { strict: true }), conflicts }
+  }
+
+  it('leaves changes alone when there is nothing to rebase onto', function () {
+    const changes = diff(base, { title: 'final', tags: ['a'] })
+    expect(rebaseChanges(changes, []).changes).to.eql(changes)
+  })
+
+  it('applies changes to other properties as they are', function () {
+    const { result, conflicts } = rebaseOnto(
+      { title: 'final', tags: ['a', 'b', 'c'], meta: { views: 1, owner: 'jo' } },
+      { title: 'draft', tags: ['a', 'b', 'c'], meta: { views: 2, owner: 'jo' } }
+    )
+    expect(result).to.eql({ title: 'final', tags: ['a', 'b', 'c'], meta: { views: 2, owner: 'jo' } })
+    expect(conflicts).to.be.empty()
+  })
+
+  it('moves array indices past remote insertions and removals', function () {
+    const { result } = rebaseOnto(
+      { title: 'draft', tags: ['a', 'b', 'x', 'c'], meta: base.meta },
+      { title: 'draft', tags: ['z', 'b', 'c', 'y'], meta: base.meta },
+      { arrays: 'lcs' }
+    )
+    expect(result.tags).to.eql(['z', 'b', 'x', 'c', 'y'])
+  })
+
+  it('puts local insertions after remote ones at the same place', function () {
+    const { result } = rebaseOnto(
+      { title: 'draft', tags: ['local', 'a', 'b', 'c'], meta: base.meta },
+      { title: 'draft', tags: ['remote', 'a', 'b', 'c'], meta: base.meta },
+      { arrays: 'lcs' }
+    )
+    expect(result.tags).to.eql(['remote', 'local', 'a', 'b', 'c'])
+  })
+
+  it('rebases changes within elements the remote changes moved', function () {
+    const objectHash = function (item) {
+      return item.id
+    }
+    const list = [{ id: 1, n: 'one' }, { id: 2, n: 'two' }, { id: 3, n: 'three' }]
+    const edited = [{ id: 1, n: 'one' }, { id: 2, n: 'two' }, { id: 3, n: 'THREE' }]
+    const moved = [{ id: 3, n: 'three' }, { id: 1, n: 'one' }]
+    const local = diff({ list }, { list: edited }, { objectHash })
+    const remote = diff({ list }, { list: moved }, { objectHash })
+    const { changes } = rebaseChanges(local, remote)
+    expect(applyChanges({ list: moved }, changes)).to.eql({
+      list: [{ id: 3, n: 'THREE' }, { id: 1, n: 'one' }],
+    })
+  })
+
+  it('lets local changes win over remote changes to the same value', function () {
+    const { changes } = rebaseChanges(diff(base, { ...base, title: 'local' }), diff(base, { ...base, title: 'remote' }))
+    expect(changes).to.eql([{ kind: 'E', path: ['title'], lhs: 'remote', rhs: 'local' }])
+  })
+
+  it('drops and reports changes within values the remote changes deleted or replaced', function () {
+    const options = { arrays: 'lcs' }
+    const local = diff(base, { title: 'draft', tags: ['a', 'B', 'c'], meta: { views: 2, owner: 'jo' } }, options)
+    const remote = diff(base, { title: 'draft', tags: ['a', 'c'], meta: 'none' }, options)
+    const { changes, conflicts } = rebaseChanges(local, remote)
+    expect(changes).to.be.empty()
+    expect(conflicts).to.eql([
+      { change: local[0], index: 0, reason: 'deleted', remote: remote[0] },
+      { change: local[1], index: 1, reason: 'replaced', remote: remote[1] },
+    ])
+  })
+
+  it('records remote changes within values the local changes replace', function () {
+    const { result, conflicts } = rebaseOnto(
+      { title: 'draft', tags: ['a', 'b', 'c'] },
+      { title: 'draft', tags: ['a', 'b', 'c'], meta: { views: 2, owner: 'jo' } }
+    )
+    expect(result).to.eql({ title: 'draft', tags: ['a', 'b', 'c'] })
+    expect(conflicts).to.be.empty()
+  })
+})
@@ -0,0 +1,380 @@
+import { applyChanges, patchValue } from './apply'
+import { ArrayDiff, BytesDiff, Change, DeleteDiff, EditDiff, MoveDiff, NewDiff, TextDiff, withPath } from './changes'
+import { isEqual } from './diff'
+
+export interface RebaseConflict {
+  /** The local change that was dropped */
+  readonly change: Change
+  /** The position of the change in the local changes */
+  readonly index: number
+  /** `deleted` when the remote changes deleted what the change applies to, `replaced` when they replaced it */
+  readonly reason: 'deleted' | 'replaced'
+  /** The remote change that deleted or replaced it */
+  readonly remote: Change
+}
+
+export interface RebaseResult {
+  readonly changes: Change[]
+  readonly conflicts: RebaseConflict[]
+}
+
+// Changes flattened to what they do at their full path: an insertion, removal or move of an array element, or a
+// property (or element) added, edited, deleted or patched
+interface ElementOperation {
+  readonly array: any[]
+  readonly index: number
+  readonly key?: any
+  readonly kind: 'insert' | 'remove'
+  readonly unordered?: boolean
+  readonly value: any
+}
+
+interface MoveOperation {
+  readonly array: any[]
+  readonly from: number
+  readonly key?: any
+  readonly kind: 'move'
+  readonly to: number
+}
+
+interface ValueOperation {
+  readonly change: EditDiff | NewDiff | DeleteDiff | TextDiff | BytesDiff
+  readonly kind: 'value'
+  readonly path: any[]
+}
+
+type ArrayOperation = ElementOperation | MoveOperation
+
+type Operation = ArrayOperation | ValueOperation
+
+interface Transformed {
+  readonly operation: Operation | null
+  readonly reason?: RebaseConflict['reason']
+}
+
+function toOperation(change: Change, base: any[] = []): Operation {
+  const path = base.concat(change.path || [])
+  switch (change.kind) {
+    case 'A': {
+      const { index, item, key, unordered } = change
+      if ((item.path && item.path.length) || item.kind === 'A' || item.kind === 'M') {
+        return toOperation(item, path.concat(index))
+      }
+      if (item.kind === 'N') {
+        return { kind: 'insert', array: path, index, key, unordered, value: item.rhs }
+      }
+      if (item.kind === 'D') {
+        return { kind: 'remove', array: path, index, key, unordered, value: item.lhs }
+      }
+      return toOperation(item, path.concat(index))
+    }
+    case 'M':
+      return { kind: 'move', array: path, from: change.from, to: change.to, key: change.key }
+    default:
+      return { kind: 'value', path, change: withPath(change, path) as ValueOperation['change'] }
+  }
+}
+
+function toChange(operation: Operation): Change {
+  switch (operation.kind) {
+    case 'insert':
+    case 'remove':
+      const item =
+        operation.kind === 'insert'
+          ? new NewDiff(undefined, operation.value)
+          : new DeleteDiff(undefined, operation.value)
+      return new ArrayDiff(operation.array, operation.index, item, operation.key, operation.unordered)
+    case 'move':
+      return new MoveDiff(operation.array, operation.from, operation.to, operation.key)
+    case 'value':
+      return operation.change
+  }
+}
+
+function toList(changes: Change | Change[] | null) {
+  return (!changes ? [] : Array.isArray(changes) ? changes : [changes]).filter(change => !!change)
+}
+
+function isPrefix(prefix: any[], path: any[]) {
+  return prefix.length <= path.length && prefix.every((segment, i) => segment === path[i])
+}
+
+// The path of what an operation replaces as a whole, undefined for insertions and moves which only rearrange an array
+function targetOf(operation: Operation) {
+  switch (operation.kind) {
+    case 'remove':
+      return operation.array.concat(operation.index)
+    case 'value':
+      return operation.path
+  }
+  return undefined
+}
+
+// What an operation applies within, its own target for insertions and removals being the array
+function scopeOf(operation: Operation) {
+  return operation.kind === 'value' ? operation.path : operation.array
+}
+
+// Records `inner`, an operation within the value `operation` replaces, in the value `operation` expects to find
+function absorb(operation: Operation, inner: Operation): Operation {
+  const target = targetOf(operation)!
+  const change = toChange(inner)
+  const relative = withPath(change, (change.path || []).slice(target.length))
+  if (operation.kind === 'remove') {
+    return { ...operation, value: applyChanges(operation.value, relative) }
+  }
+  if (operation.kind === 'value' && (operation.change.kind === 'E' || operation.change.kind === 'D')) {
+    const lhs = applyChanges(operation.change.lhs, relative)
+    const { path } = operation.change
+    return {
+      ...operation,
+      change: operation.change.kind === 'E' ? new EditDiff(path, lhs, operation.change.rhs) : new DeleteDiff(path, lhs),
+    }
+  }
+  return operation
+}
+
+interface IndexMap {
+  /** Where the element at `index` ends up, -1 when it is removed */
+  element(index: number): number
+  /** Where an insertion at `index` ends up, `after` puts it after an insertion at the same place */
+  insertion(index: number, after: boolean): number
+}
+
+function indexMap(operation: ArrayOperation): IndexMap {
+  switch (operation.kind) {
+    case 'insert': {
+      const { index } = operation
+      return {
+        element: j => (j >= index ? j + 1 : j),
+        insertion: (j, after) => (j > index || (j === index && after) ? j + 1 : j),
+      }
+    }
+    case 'remove': {
+      const { index } = operation
+      return {
+        element: j => (j === index ? -1 : j > index ? j - 1 : j),
+        insertion: j => (j > index ? j - 1 : j),
+      }
+    }
+    case 'move': {
+      const { from, to } = operation
+      const removed = (j: number) => (j > from ? j - 1 : j)
+      return {
+        element: j => (j === from ? to : removed(j) >= to ? removed(j) + 1 : removed(j)),
+        insertion: (j, after) => (removed(j) > to || (removed(j) === to && after) ? removed(j) + 1 : removed(j)),
+      }
+    }
+  }
+}
+
+// The operation `other` as it applies to its array once the element at `index` was taken out
+function withoutElement(other: ArrayOperation, index: number): ArrayOperation {
+  const map = indexMap({ kind: 'remove', array: other.array, index, value: undefined })
+  switch (other.kind) {
+    case 'insert':
+      return { ...other, index: map.insertion(other.index, false) }
+    case 'remove':
+      return { ...other, index: map.element(other.index) }
+    case 'move': {
+      // the destination of a move counts in the array without the moved element
+      const at = index > other.from ? index - 1 : index
+      const destination = indexMap({ kind: 'remove', array: other.array, index: at, value: undefined })
+      return { ...other, from: map.element(other.from), to: destination.insertion(other.to, false) }
+    }
+  }
+}
+
+// Transforms `operation` to apply after `other`, both applying to the same object. Local operations win over remote
+// ones at the same path and go after them at the same place in an array, but nothing survives the deletion or
+// replacement of what it applies within.
+function transformAgainstArray(operation: Operation, other: ArrayOperation, local: boolean): Transformed {
+  const { array } = other
+  const map = indexMap(other)
+  const scope = scopeOf(operation)
+  const target = targetOf(operation)
+
+  if (target && isPrefix(target, array)) {
+    // the array is part of the value the operation replaces
+    return { operation: absorb(operation, other) }
+  }
+  if (operation.kind !== 'value' && operation.array.length === array.length && isPrefix(array, operation.array)) {
+    switch (operation.kind) {
+      case 'insert':
+        return { operation: { ...operation, index: map.insertion(operation.index, local) } }
+      case 'remove': {
+        const index = map.element(operation.index)
+        return { operation: index < 0 ? null : { ...operation, index } }
+      }
+      case 'move': {
+        const from = map.element(operation.from)
+        if (from < 0) {
+          return { operation: null, reason: 'deleted' }
+        }
+        if (other.kind === 'move' && other.from === operation.from) {
+          return { operation: local ? { ...operation, from } : null }
+        }
+        const to = indexMap(withoutElement(other, operation.from)).insertion(operation.to, local)
+        return { operation: { ...operation, from, to } }
+      }
+    }
+  }
+  if (scope.length > array.length && isPrefix(array, scope)) {
+    const index = map.element(scope[array.length])
+    if (index < 0) {
+      return { operation: null, reason: 'deleted' }
+    }
+    const path = scope.slice()
+    path[array.length] = index
+    if (operation.kind === 'value') {
+      return { operation: { ...operation, path, change: withPath(operation.change, path) as typeof operation.change } }
+    }
+    return { operation: { ...operation, array: path } }
+  }
+  return { operation }
+}
+
+type PatchChange = TextDiff | BytesDiff
+
+// The value with the change applied, undefined when it doesn't apply to it
+function patched(value: any, change: PatchChange) {
+  try {
+    return patchValue(value, change, false)
+  } catch (e) {
+    return undefined
+  }
+}
+
+// The parts of a string or typed array a change replaces, counted as they were before it
+function spans(change: PatchChange) {
+  if (change.kind === 'B') {
+    return [[change.index, change.index + change.lhs.length]]
+  }
+  let shift = 0
+  return change.hunks.map(hunk => {
+    const start = hunk.index - shift
+    shift += hunk.rhs.length - hunk.lhs.length
+    return [start, start + hunk.lhs.length]
+  })
+}
+
+// Whether two changes made to the same string or typed array touch the same part of it
+function overlaps(change: PatchChange, other: PatchChange) {
+  const otherSpans = spans(other)
+  return spans(change).some(([start, end]) =>
+    otherSpans.some(([otherStart, otherEnd]) => start <= otherEnd && otherStart <= end)
+  )
+}
+
+// `change` once `other` replaced another part of the same string or typed array. Text is looked up where it moved, but
+// byte ranges past the other one move with its length.
+function shifted(change: PatchChange, other: PatchChange) {
+  if (change.kind === 'T' || other.kind !== 'B' || change.index < other.index + other.lhs.length) {
+    return change
+  }
+  return new BytesDiff(change.path, change.index + other.rhs.length - other.lhs.length, change.lhs, change.rhs)
+}
+
+// The value a change other than a deletion leaves in place of `value`
+function replacement(value: any, change: EditDiff | NewDiff | PatchChange) {
+  if (change.kind === 'E' || change.kind === 'N') {
+    return change.rhs
+  }
+  const result = patched(value, change)
+  return typeof result === 'undefined' ? value : result
+}
+
+function transformAgainstValue(operation: Operation, other: ValueOperation, local: boolean): Transformed {
+  const { change, path } = other
+  const target = targetOf(operation)
+  const reason = change.kind === 'D' ? 'deleted' : 'replaced'
+
+  if (operation.kind === 'value' && operation.path.length === path.length && isPrefix(path, operation.path)) {
+    const mine = operation.change
+    if (change.kind === 'D') {
+      return mine.kind === 'D' ? { operation: null } : { operation: null, reason }
+    }
+    if (mine.kind === 'D') {
+      return { operation: { ...operation, change: new DeleteDiff(mine.path, replacement(mine.lhs, change)) } }
+    }
+    if (!local) {
+      return { operation: null }
+    }
+    if (mine.kind === 'T' || mine.kind === 'B') {
+      // changes to different parts of the same string or typed array merge, as long as the local ones still apply
+      if (change.kind === 'T' || change.kind === 'B') {
+        return overlaps(mine, change)
+          ? { operation: null, reason }
+          : { operation: { ...operation, change: shifted(mine, change) } }
+      }
+      return typeof patched(change.rhs, mine) !== 'undefined' ? { operation } : { operation: null, reason }
+    }
+    if (change.kind === 'T' || change.kind === 'B') {
+      return mine.kind === 'E'
+        ? { operation: { ...operation, change: new EditDiff(mine.path, replacement(mine.lhs, change), mine.rhs) } }
+        : { operation }
+    }
+    if (isEqual(mine.rhs, change.rhs)) {
+      return { operation: null }
+    }
+    return { operation: { ...operation, change: new EditDiff(mine.path, change.rhs, mine.rhs) } }
+  }
+  if (operation.kind === 'remove' && target!.length === path.length && isPrefix(path, target!)) {
+    // an element is removed whatever was done to it
+    if (change.kind === 'D') {
+      return { operation: null }
+    }
+    return { operation: { ...operation, value: replacement(operation.value, change) } }
+  }
+  if (isPrefix(path, scopeOf(operation))) {
+    return { operation: null, reason }
+  }
+  if (target && isPrefix(target, path)) {
+    return { operation: absorb(operation, other) }
+  }
+  return { operation }
+}
+
+function transform(operation: Operation, other: Operation, local: boolean) {
+  return other.kind === 'value'
+    ? transformAgainstValue(operation, other, local)
+    : transformAgainstArray(operation, other, local)
+}
+
+/**
+ * Transforms `local` changes so they apply after `remote` ones made to the same object, as in operational
+ * transformation: array indices are moved past the elements the remote changes inserted, removed and moved, local
+ * changes win over remote ones to the same value, text changes to different parts of the same string merge, and local
+ * changes within values the remote changes deleted or replaced are dropped and reported as conflicts.
+ */
+export function rebaseChanges(local: Change | Change[] | null, remote: Change | Change[] | null): RebaseResult {
+  const changes: Change[] = []
+  const conflicts: RebaseConflict[] = []
+  // the remote operations as they apply after the local ones rebased so far
+  let pending = toList(remote).map(change => ({ change, operation: toOperation(change) }))
+
+  toList(local).forEach((change, index) => {
+    let operation: Operation | null = toOperation(change)
+    const next: typeof pending = []
+    for (const other of pending) {
+      if (!operation) {
+        next.push(other)
+        continue
+      }
+      const rebased = transform(operation, other.operation, true)
+      const remoteRebased = transform(other.operation, operation, false).operation
+      if (!rebased.operation && rebased.reason) {
+        conflicts.push({ change, index, reason: rebased.reason, remote: other.change })
+      }
+      operation = rebased.operation
+      if (remoteRebased) {
+        next.push({ change: other.change, operation: remoteRebased })
+      }
+    }
+    pending = next
+    if (operation) {
+      changes.push(toChange(operation))
+    }
+  })
+  return { changes, conflicts }
+}
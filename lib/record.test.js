@@ -0,0 +1,211 @@
+const expect = require('expect.js')
+const { diff, applyChanges, revertChanges, observe, record } = require('.')
+
+describe('Recording changes', function () {
+  const state = function () {
+    return { user: { name: 'Jo', age: 30, tags: ['a', 'b'] }, todos: [{ id: 1, done: false }, { id: 2, done: false }] }
+  }
+
+  it('records assignments and deletions like diff', function () {
+    const target = state()
+    const { changes, result } = record(target, function (draft) {
+      draft.user.name = 'Joe'
+      draft.user.email = 'jo@example.com'
+      delete draft.user.age
+      draft.todos[1].done = true
+    })
+    expect(changes).to.eql([
+      { kind: 'E', path: ['user', 'name'], lhs: 'Jo', rhs: 'Joe' },
+      { kind: 'N', path: ['user', 'email'], rhs: 'jo@example.com' },
+      { kind: 'D', path: ['user', 'age'], lhs: 30 },
+      { kind: 'E', path: ['todos', 1, 'done'], lhs: false, rhs: true },
+    ])
+    expect(target).to.eql(state())
+    expect(applyChanges(target, changes, { strict: true })).to.eql(result)
+    expect(diff(target, result)).to.have.length(4)
+  })
+
+  it('records array methods as array changes', function () {
+    const target = state()
+    const { changes, result } = record(target, function (draft) {
+      draft.user.tags.push('c')
+      draft.user.tags.shift()
+      draft.todos.splice(0, 1, { id: 3, done: true })
+    })
+    expect(changes).to.eql([
+      { kind: 'A', path: ['user', 'tags'], index: 2, item: { kind: 'N', rhs: 'c' } },
+      { kind: 'A', path: ['user', 'tags'], index: 0, item: { kind: 'D', lhs: 'a' } },
+      { kind: 'A', path: ['todos'], index: 0, item: { kind: 'D', lhs: { id: 1, done: false } } },
+      { kind: 'A', path: ['todos'], index: 0, item: { kind: 'N', rhs: { id: 3, done: true } } },
+    ])
+    expect(applyChanges(target, changes, { strict: true })).to.eql(result)
+    expect(revertChanges(result, changes, { strict: true })).to.eql(target)
+  })
+
+  it('records sorting as moves', function () {
+    const target = { list: [3, 1, 2] }
+    const { changes, result } = record(target, function (draft) {
+      draft.list.sort()
+    })
+    expect(result.list).to.eql([1, 2, 3])
+    changes.forEach(function (change) {
+      expect(change.kind).to.be('M')
+    })
+    expect(applyChanges(target, changes, { strict: true })).to.eql(result)
+    expect(revertChanges(result, changes, { strict: true })).to.eql(target)
+  })
+
+  it('finds array elements wherever they moved', function () {
+    const target = state()
+    const { changes, result } = record(target, function (draft) {
+      const second = draft.todos[1]
+      draft.todos.shift()
+      second.done = true
+    })
+    expect(changes[1]).to.eql({ kind: 'E', path: ['todos', 0, 'done'], lhs: false, rhs: true })
+    expect(applyChanges(target, changes, { strict: true })).to.eql(result)
+  })
+
+  it('copies objects of the target put elsewhere in it', function () {
+    const { changes, result } = record(state(), function (draft) {
+      draft.owner = draft.user
+      draft.owner.name = 'Al'
+    })
+    expect(result.user.name).to.be('Jo')
+    expect(result.owner.name).to.be('Al')
+    expect(applyChanges(state(), changes, { strict: true })).to.eql(result)
+  })
+
+  it('leaves out changes to objects no longer in the target', function () {
+    const { changes } = record(state(), function (draft) {
+      const user = draft.user
+      delete draft.user
+      user.name = 'Al'
+    })
+    expect(changes).to.have.length(1)
+    expect(changes[0].kind).to.be('D')
+  })
+
+  it('records changes to Maps and Sets', function () {
+    const target = { map: new Map([['a', { v: 1 }]]), set: new Set(['x']) }
+    const { changes, result } = record(target, function (draft) {
+      draft.map.get('a').v = 2
+      draft.map.set('b', 3)
+      draft.set.delete('x')
+      draft.set.add('y')
+    })
+    expect(changes).to.eql([
+      { kind: 'E', path: ['map', 'a', 'v'], lhs: 1, rhs: 2 },
+      { kind: 'N', path: ['map', 'b'], rhs: 3 },
+      { kind: 'D', path: ['set', 'x'], lhs: 'x' },
+      { kind: 'N', path: ['set', 'y'], rhs: 'y' },
+    ])
+    expect(diff(applyChanges(target, changes, { strict: true }), result)).to.be(null)
+    expect(result.map.size).to.be(2)
+  })
+
+  it('records changes made to the values Maps and Sets are iterated over', function () {
+    const target = function () {
+      return { map: new Map([['a', { v: 1 }], ['b', { v: 1 }]]), set: new Set([{ v: 1 }]) }
+    }
+    const mutators = [
+      function (draft) {
+        for (const value of draft.map.values()) {
+          value.v++
+        }
+      },
+      function (draft) {
+        for (const [, value] of draft.map.entries()) {
+          value.v++
+        }
+      },
+      function (draft) {
+        for (const [, value] of draft.map) {
+          value.v++
+        }
+      },
+      function (draft) {
+        draft.map.forEach(function (value) {
+          value.v++
+        })
+      },
+    ]
+    for (const mutator of mutators) {
+      const { changes, result } = record(target(), mutator)
+      expect(changes).to.eql([
+        { kind: 'E', path: ['map', 'a', 'v'], lhs: 1, rhs: 2 },
+        { kind: 'E', path: ['map', 'b', 'v'], lhs: 1, rhs: 2 },
+      ])
+      expect(diff(applyChanges(target(), changes, { strict: true }), result)).to.be(null)
+    }
+    const setMutators = [
+      function (draft) {
+        for (const member of draft.set) {
+          member.v = 2
+          member.w = [1]
+          member.w.push(2)
+        }
+      },
+      function (draft) {
+        for (const member of draft.set.values()) {
+          member.v = 2
+          member.w = [1]
+          member.w.push(2)
+        }
+      },
+      function (draft) {
+        draft.set.forEach(function (member, same, set) {
+          expect(same).to.be(member)
+          expect(set).to.be(draft.set)
+          member.v = 2
+          member.w = [1]
+          member.w.push(2)
+        })
+      },
+    ]
+    for (const mutator of setMutators) {
+      const { changes, result } = record(target(), mutator)
+      expect(changes).to.have.length(6)
+      expect(changes.slice(-2)).to.eql([
+        { kind: 'D', path: ['set', { v: 2, w: [1] }], lhs: { v: 2, w: [1] } },
+        { kind: 'N', path: ['set', { v: 2, w: [1, 2] }], rhs: { v: 2, w: [1, 2] } },
+      ])
+      expect(diff(applyChanges(target(), changes, { strict: true }), result)).to.be(null)
+      expect(diff(revertChanges(result, changes, { strict: true }), target())).to.be(null)
+    }
+  })
+
+  it('finds the Set members read from it', function () {
+    const { changes, result } = record({ set: new Set([{ v: 1 }, { v: 2 }]) }, function (draft) {
+      for (const member of draft.set) {
+        if (member.v === 1) {
+          expect(draft.set.has(member)).to.be(true)
+          draft.set.delete(member)
+        }
+      }
+    })
+    expect(changes).to.eql([{ kind: 'D', path: ['set', { v: 1 }], lhs: { v: 1 } }])
+    expect(Array.from(result.set)).to.eql([{ v: 2 }])
+  })
+
+  describe('observe', function () {
+    it('changes the target and records the changes as they are made', function () {
+      const target = state()
+      const observer = observe(target)
+      observer.proxy.user.tags.pop()
+      expect(target.user.tags).to.eql(['a'])
+      expect(observer.changes).to.eql([{ kind: 'A', path: ['user', 'tags'], index: 1, item: { kind: 'D', lhs: 'b' } }])
+      observer.proxy.todos.length = 0
+      expect(revertChanges(target, observer.changes)).to.eql(state())
+    })
+
+    it('stops recording once revoked', function () {
+      const observer = observe(state())
+      const user = observer.proxy.user
+      observer.revoke()
+      expect(function () {
+        user.name = 'Al'
+      }).to.throwError(TypeError)
+    })
+  })
+})
@@ -0,0 +1,483 @@
+import cloneDeep from 'lodash.clonedeep'
+import { diffArrays } from './arrays'
+import { ArrayDiff, Change, DeleteDiff, EditDiff, NewDiff } from './changes'
+import { isEqual } from './diff'
+
+export interface Observer<T> {
+  /** The changes made through the proxy so far, in the order they were made */
+  readonly changes: Change[]
+  /** Stands for the target: what is done to it and to the objects read from it is done to the target and recorded */
+  readonly proxy: T
+  /** Stops recording, using the proxy or the objects read from it then throws */
+  revoke(): void
+}
+
+export interface RecordResult<T> {
+  readonly changes: Change[]
+  /** A copy of the target with the changes made */
+  readonly result: T
+}
+
+// Where an object was last read from
+interface Link {
+  readonly key: any
+  readonly parent: any
+}
+
+const NONE = {}
+
+const ARRAY_METHODS = ['copyWithin', 'fill', 'pop', 'push', 'reverse', 'shift', 'sort', 'splice', 'unshift']
+
+const MAP_METHODS = ['clear', 'delete', 'get', 'set']
+
+const SET_METHODS = ['add', 'clear', 'delete', 'has']
+
+const ITERATION_METHODS = ['entries', 'forEach', 'keys', 'values']
+
+// Plain objects, class instances, arrays, Maps and Sets are observed, other objects such as dates and typed arrays
+// keep their state out of reach of a proxy
+function isObservable(value: any) {
+  if (value === null || typeof value !== 'object') {
+    return false
+  }
+  if (Array.isArray(value) || value instanceof Map || value instanceof Set) {
+    return true
+  }
+  return !(value instanceof Date || value instanceof RegExp || ArrayBuffer.isView(value) || value instanceof Promise)
+}
+
+function isPlain(value: any) {
+  const prototype = Object.getPrototypeOf(value)
+  return prototype === Object.prototype || prototype === null
+}
+
+function isIndex(key: PropertyKey) {
+  return typeof key === 'string' && String(Number(key) >>> 0) === key && Number(key) !== 4294967295
+}
+
+// Where the start of a splice falls in an array of `length` elements, counting from the end when negative
+function startOf(start: any, length: number) {
+  const index = Math.trunc(Number(start)) || 0
+  return index < 0 ? Math.max(length + index, 0) : Math.min(index, length)
+}
+
+// The segment under which `child` is now found in `parent`, elements being looked up since their index changes as the
+// array does
+function segmentOf(parent: any, key: any, child: any) {
+  if (parent instanceof Map) {
+    return parent.get(key) === child ? key : NONE
+  }
+  if (parent instanceof Set) {
+    return parent.has(child) ? child : NONE
+  }
+  if (Array.isArray(parent)) {
+    if (parent[key] === child) {
+      return key
+    }
+    const index = parent.indexOf(child)
+    return index >= 0 ? index : NONE
+  }
+  return parent[key] === child ? key : NONE
+}
+
+/**
+ * Observes a target through a proxy: assignments, deletions, array methods and Map and Set methods called through it
+ * or the objects read from it are made to the target and recorded as changes. They apply to the target as it was with
+ * `applyChanges`, and `revertChanges` undoes them.
+ */
+export function observe<T extends object>(target: T): Observer<T> {
+  const changes: Change[] = []
+  const links = new WeakMap<any, Link>()
+  const proxies = new WeakMap<any, any>()
+  const raws = new WeakMap<any, any>()
+  const revokes: Array<() => void> = []
+
+  // The objects from an object up to the target with the segments they are found under in their parents, through the
+  // parents they were last read from. Undefined once the object is no longer part of the target.
+  function trailOf(object: any): Array<{ object: any; parent: any; segment: any }> | undefined {
+    const trail = []
+    const seen = new Set()
+    let current = object
+    while (current !== target) {
+      const link = links.get(current)
+      if (!link || seen.has(current)) {
+        return undefined
+      }
+      seen.add(current)
+      const segment = segmentOf(link.parent, link.key, current)
+      if (segment === NONE) {
+        return undefined
+      }
+      trail.push({ object: current, parent: link.parent, segment })
+      current = link.parent
+    }
+    return trail.reverse()
+  }
+
+  // The path of an object from the target, undefined when what is done to it is left out: once it is no longer part of
+  // the target, or within a Set member, which `changing` records as a whole
+  function pathOf(object: any): any[] | undefined {
+    const trail = trailOf(object)
+    return trail && !trail.some(({ parent }) => parent instanceof Set) ? trail.map(({ segment }) => segment) : undefined
+  }
+
+  // A Set member is its own path segment, so changing what is within it makes it another member: the change is recorded
+  // as the outermost member holding `object` being removed and its new value added, the way `diff` records it
+  function changing<R>(object: any, change: () => R): R {
+    const trail = trailOf(object)
+    const outermost = trail && trail.find(({ parent }) => parent instanceof Set)
+    const path = outermost && pathOf(outermost.parent)
+    if (!outermost || !path) {
+      return change()
+    }
+    const before = cloneDeep(outermost.object)
+    const result = change()
+    if (!isEqual(before, outermost.object)) {
+      const after = cloneDeep(outermost.object)
+      changes.push(new DeleteDiff(path.concat([before]), cloneDeep(before)))
+      changes.push(new NewDiff(path.concat([after]), cloneDeep(after)))
+    }
+    return result
+  }
+
+  // Values put in the target are stored without the proxies they may hold. Objects read from the target are copied, so
+  // that no object is found at two paths whose changes would only be recorded at one.
+  function unwrap(value: any, seen = new Set()): any {
+    if (raws.has(value)) {
+      return cloneDeep(raws.get(value))
+    }
+    if (value !== null && typeof value === 'object' && !seen.has(value) && (Array.isArray(value) || isPlain(value))) {
+      seen.add(value)
+      for (const key of Object.keys(value)) {
+        const raw = unwrap(value[key], seen)
+        if (raw !== value[key]) {
+          value[key] = raw
+        }
+      }
+    }
+    return value
+  }
+
+  function wrap(value: any, parent: any, key: any) {
+    if (!isObservable(value)) {
+      return value
+    }
+    links.set(value, { key, parent })
+    return proxyOf(value)
+  }
+
+  function proxyOf(object: any) {
+    if (!proxies.has(object)) {
+      const { proxy, revoke } = Proxy.revocable(
+        object,
+        object instanceof Map || object instanceof Set ? collectionHandler : handler
+      )
+      proxies.set(object, proxy)
+      raws.set(proxy, object)
+      revokes.push(revoke)
+    }
+    return proxies.get(object)
+  }
+
+  function setProperty(object: any, key: any, value: any) {
+    const path = pathOf(object)
+    const existed = Object.prototype.hasOwnProperty.call(object, key)
+    const before = object[key]
+    const isElement = Array.isArray(object) && isIndex(key)
+    const length = isElement ? object.length : 0
+    object[key] = value
+    if (!path || (existed && Object.is(before, value))) {
+      return
+    }
+    if (isElement && Number(key) >= length) {
+      // the holes left before the element are recorded as undefined elements
+      for (let index = length; index < Number(key); index++) {
+        changes.push(new ArrayDiff(path, index, new NewDiff(undefined, undefined)))
+      }
+      changes.push(new ArrayDiff(path, Number(key), new NewDiff(undefined, cloneDeep(value))))
+    } else {
+      // holes are recorded as undefined elements, which an element put in their place replaces
+      const at = path.concat(isElement ? Number(key) : key)
+      changes.push(
+        existed || isElement ? new EditDiff(at, cloneDeep(before), cloneDeep(value)) : new NewDiff(at, cloneDeep(value))
+      )
+    }
+  }
+
+  function setLength(array: any[], length: number) {
+    const path = pathOf(array)
+    const before = array.slice()
+    array.length = length
+    if (!path) {
+      return
+    }
+    for (let index = before.length - 1; index >= length; index--) {
+      changes.push(new ArrayDiff(path, index, new DeleteDiff(undefined, cloneDeep(before[index]))))
+    }
+    for (let index = before.length; index < length; index++) {
+      changes.push(new ArrayDiff(path, index, new NewDiff(undefined, undefined)))
+    }
+  }
+
+  // Elements removed at `start` and inserted there, the way `diff` records them: removals from the last
+  function splice(array: any[], start: number, removed: any[], inserted: any[]) {
+    const path = pathOf(array)
+    if (!path) {
+      return
+    }
+    for (let i = removed.length - 1; i >= 0; i--) {
+      changes.push(new ArrayDiff(path, start + i, new DeleteDiff(undefined, cloneDeep(removed[i]))))
+    }
+    inserted.forEach((item, i) => changes.push(new ArrayDiff(path, start + i, new NewDiff(undefined, cloneDeep(item)))))
+  }
+
+  // Sorting and reversing are recorded as moves, filling and copying within the array as edits
+  function rearrange(array: any[], before: any[], reordered: boolean) {
+    const path = pathOf(array)
+    if (!path) {
+      return
+    }
+    if (reordered) {
+      for (const change of diffArrays(path, before, Array.from(array), { isEqual: (a, b) => a === b }).changes) {
+        changes.push(change)
+      }
+      return
+    }
+    before.forEach((item, index) => {
+      if (!Object.is(item, array[index])) {
+        changes.push(new EditDiff(path.concat(index), cloneDeep(item), cloneDeep(array[index])))
+      }
+    })
+  }
+
+  function arrayMethod(array: any[], name: string) {
+    return (...args: any[]) => {
+      args = args.map(arg => unwrap(arg))
+      switch (name) {
+        case 'push': {
+          const start = array.length
+          const length = array.push(...args)
+          splice(array, start, [], args)
+          return length
+        }
+        case 'unshift': {
+          const length = array.unshift(...args)
+          splice(array, 0, [], args)
+          return length
+        }
+        case 'pop': {
+          const removed = array.length ? [array[array.length - 1]] : []
+          array.pop()
+          splice(array, array.length, removed, [])
+          return removed[0]
+        }
+        case 'shift': {
+          const removed = array.length ? [array[0]] : []
+          array.shift()
+          splice(array, 0, removed, [])
+          return removed[0]
+        }
+        case 'splice': {
+          const start = startOf(args[0], array.length)
+          const removed = (array.splice as any)(...args)
+          splice(array, start, removed, args.slice(2))
+          return removed
+        }
+        default: {
+          // holes are read as undefined elements
+          const before = Array.from(array)
+          ;(array as any)[name](...args)
+          rearrange(array, before, name === 'sort' || name === 'reverse')
+          return proxyOf(array)
+        }
+      }
+    }
+  }
+
+  function mapMethod(map: Map<any, any>, name: string) {
+    return (...args: any[]) => {
+      const path = pathOf(map)
+      switch (name) {
+        case 'get':
+          return wrap(map.get(args[0]), map, args[0])
+        case 'set': {
+          const [key] = args
+          const value = unwrap(args[1])
+          const existed = map.has(key)
+          const before = map.get(key)
+          map.set(key, value)
+          if (path && !(existed && Object.is(before, value))) {
+            const at = path.concat([key])
+            changes.push(
+              existed ? new EditDiff(at, cloneDeep(before), cloneDeep(value)) : new NewDiff(at, cloneDeep(value))
+            )
+          }
+          return proxyOf(map)
+        }
+        case 'delete': {
+          const existed = map.has(args[0])
+          const before = map.get(args[0])
+          map.delete(args[0])
+          if (path && existed) {
+            changes.push(new DeleteDiff(path.concat([args[0]]), cloneDeep(before)))
+          }
+          return existed
+        }
+        default: {
+          const entries = Array.from(map)
+          map.clear()
+          if (path) {
+            entries.forEach(([key, value]) => changes.push(new DeleteDiff(path.concat([key]), cloneDeep(value))))
+          }
+          return undefined
+        }
+      }
+    }
+  }
+
+  function setMethod(set: Set<any>, name: string) {
+    return (...args: any[]) => {
+      const path = pathOf(set)
+      // members read from the Set are looked up as they are, not as the copies adding them makes
+      const member = name === 'add' ? unwrap(args[0]) : raws.has(args[0]) ? raws.get(args[0]) : args[0]
+      switch (name) {
+        case 'add':
+          if (!set.has(member)) {
+            set.add(member)
+            if (path) {
+              changes.push(new NewDiff(path.concat([member]), cloneDeep(member)))
+            }
+          }
+          return proxyOf(set)
+        case 'delete': {
+          const existed = set.delete(member)
+          if (path && existed) {
+            changes.push(new DeleteDiff(path.concat([member]), cloneDeep(member)))
+          }
+          return existed
+        }
+        case 'has':
+          return set.has(member)
+        default: {
+          const members = Array.from(set)
+          set.clear()
+          if (path) {
+            members.forEach(item => changes.push(new DeleteDiff(path.concat([item]), cloneDeep(item))))
+          }
+          return undefined
+        }
+      }
+    }
+  }
+
+  function deleteProperty(object: any, key: PropertyKey) {
+    const path = pathOf(object)
+    const existed = Object.prototype.hasOwnProperty.call(object, key)
+    const before = object[key]
+    const deleted = Reflect.deleteProperty(object, key)
+    if (path && existed && deleted && typeof key !== 'symbol') {
+      const segment = Array.isArray(object) && isIndex(key) ? Number(key) : key
+      changes.push(new DeleteDiff(path.concat([segment]), cloneDeep(before)))
+    }
+    return deleted
+  }
+
+  // Iterating a collection yields its values as `get` reads them. Map keys aren't reached by paths and are left alone,
+  // while a Set member is its own key.
+  function* iterate(collection: any, name: string): IterableIterator<any> {
+    const isSet = collection instanceof Set
+    for (const [key, value] of collection.entries()) {
+      const item = wrap(value, collection, key)
+      const itemKey = isSet ? item : key
+      yield name === 'entries' ? [itemKey, item] : name === 'keys' ? itemKey : item
+    }
+  }
+
+  function iterationMethod(collection: any, name: string) {
+    if (name === 'forEach') {
+      return (callback: (value: any, key: any, collection: any) => void, thisArg?: any) => {
+        for (const [key, value] of iterate(collection, 'entries')) {
+          callback.call(thisArg, value, key, proxyOf(collection))
+        }
+      }
+    }
+    return () => iterate(collection, name)
+  }
+
+  const handler: ProxyHandler<any> = {
+    deleteProperty(object, key) {
+      return changing(object, () => deleteProperty(object, key))
+    },
+    get(object, key, receiver) {
+      if (Array.isArray(object) && typeof key === 'string' && ARRAY_METHODS.indexOf(key) >= 0) {
+        const method = arrayMethod(object, key)
+        return (...args: any[]) => changing(object, () => method(...args))
+      }
+      const value = Reflect.get(object, key, receiver)
+      const descriptor = Object.getOwnPropertyDescriptor(object, key)
+      // a frozen property must read as what it holds
+      if (typeof key === 'symbol' || (descriptor && !descriptor.configurable && !descriptor.writable)) {
+        return value
+      }
+      return wrap(value, object, Array.isArray(object) && isIndex(key) ? Number(key) : key)
+    },
+    set(object, key, value) {
+      if (typeof key === 'symbol') {
+        return Reflect.set(object, key, value)
+      }
+      changing(object, () => {
+        if (Array.isArray(object) && key === 'length') {
+          setLength(object, value)
+        } else {
+          setProperty(object, key, unwrap(value))
+        }
+      })
+      return true
+    },
+  }
+
+  const collectionHandler: ProxyHandler<any> = {
+    get(collection, key) {
+      if (typeof key === 'string') {
+        if (collection instanceof Map && MAP_METHODS.indexOf(key) >= 0) {
+          const method = mapMethod(collection, key)
+          return (...args: any[]) => changing(collection, () => method(...args))
+        }
+        if (collection instanceof Set && SET_METHODS.indexOf(key) >= 0) {
+          const method = setMethod(collection, key)
+          return (...args: any[]) => changing(collection, () => method(...args))
+        }
+        if (ITERATION_METHODS.indexOf(key) >= 0) {
+          return iterationMethod(collection, key)
+        }
+      }
+      if (key === Symbol.iterator) {
+        return iterationMethod(collection, collection instanceof Map ? 'entries' : 'values')
+      }
+      // Maps and Sets keep their entries in internal slots only their own methods reach
+      const value = Reflect.get(collection, key, collection)
+      return typeof value === 'function' ? value.bind(collection) : value
+    },
+  }
+
+  return {
+    changes,
+    proxy: proxyOf(target),
+    revoke: () => revokes.forEach(revoke => revoke()),
+  }
+}
+
+/**
+ * Records what `mutator` does to a draft of `target`, Immer-style: the target is left alone, and the changes are
+ * returned along with a copy of the target they were made to
+ */
+export function record<T extends object>(target: T, mutator: (draft: T) => void): RecordResult<T> {
+  const result = cloneDeep(target)
+  const observer = observe(result)
+  try {
+    mutator(observer.proxy)
+  } finally {
+    observer.revoke()
+  }
+  return { changes: observer.changes, result }
+}
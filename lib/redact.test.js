@@ -0,0 +1,111 @@
+const expect = require('expect.js')
+const { diff, diffIterator, redactChanges, validateChanges } = require('.')
+
+describe('Redaction', function () {
+  const lhs = { user: { name: 'jo', password: 'hunter2' }, tokens: ['a'], sessions: [] }
+  const rhs = {
+    user: { name: 'jo', password: 'hunter3' },
+    tokens: ['a', 'b'],
+    sessions: [{ id: 1, secret: 's1' }],
+    admin: { name: 'al', password: 'pw' },
+  }
+
+  it('masks values at matching paths', function () {
+    expect(diff(lhs, rhs, { redact: ['**/password', '/tokens', '/sessions/*/secret'] })).to.eql([
+      { kind: 'E', path: ['user', 'password'], lhs: '[REDACTED]', rhs: '[REDACTED]' },
+      { kind: 'A', path: ['tokens'], index: 1, item: { kind: 'N', rhs: '[REDACTED]' } },
+      { kind: 'A', path: ['sessions'], index: 0, item: { kind: 'N', rhs: { id: 1, secret: '[REDACTED]' } } },
+      { kind: 'N', path: ['admin'], rhs: { name: 'al', password: '[REDACTED]' } },
+    ])
+    expect(rhs.admin.password).to.be('pw')
+  })
+
+  it('redacts changes already made, leaving the rest alone', function () {
+    const changes = diff(lhs, rhs)
+    const redacted = redactChanges(changes, ['/user/password'])
+    expect(redacted[0]).to.eql({ kind: 'E', path: ['user', 'password'], lhs: '[REDACTED]', rhs: '[REDACTED]' })
+    expect(redacted.slice(1)).to.eql(changes.slice(1))
+    expect(changes[0].lhs).to.be('hunter2')
+    expect(validateChanges(redacted)).to.be(redacted)
+    expect(redactChanges(null, ['/a'])).to.eql([])
+  })
+
+  it('hashes values so equal ones can be told apart from different ones', function () {
+    const rules = [{ path: '**/password', with: 'hash', key: 'secret' }]
+    const [edit] = diff(lhs, rhs, { redact: rules })
+    expect(edit.lhs).to.match(/^\[REDACTED:[0-9a-f]{64}\]$/)
+    expect(edit.lhs).not.to.be(edit.rhs)
+    const [again] = redactChanges(diff({ password: 'hunter2' }, { password: 'x' }), rules)
+    expect(again.lhs).to.be(edit.lhs)
+    const reordered = { kind: 'E', path: ['a'], lhs: { x: 1, y: 2 }, rhs: { y: 2, x: 1 } }
+    const [objects] = redactChanges(reordered, [{ path: '/a', with: 'hash', key: 'secret' }])
+    expect(objects.lhs).to.be(objects.rhs)
+  })
+
+  it('keys hashes with a secret', function () {
+    const changes = diff({ password: 'hunter2' }, { password: 'x' })
+    const [keyed] = redactChanges(changes, [{ path: '/password', with: 'hash', key: 'secret' }])
+    const [other] = redactChanges(changes, [{ path: '/password', with: 'hash', key: Buffer.from('other') }])
+    expect(keyed.lhs).not.to.be(other.lhs)
+    expect(function () {
+      redactChanges(changes, [{ path: '/password', with: 'hash' }])
+    }).to.throwException('The rule hashing the values at "/password" needs a key')
+  })
+
+  it('redacts with a function', function () {
+    const last4 = {
+      path: '/card',
+      with: function (value, path) {
+        expect(path).to.eql(['card'])
+        return `****${value.slice(-4)}`
+      },
+    }
+    expect(diff({ card: '4111111111111111' }, { card: '4000000000000002' }, { redact: [last4] })).to.eql([
+      { kind: 'E', path: ['card'], lhs: '****1111', rhs: '****0002' },
+    ])
+  })
+
+  it('redacts values within changes to the values holding them', function () {
+    const changes = [
+      { kind: 'E', path: ['user'], lhs: 'none', rhs: { profile: { email: 'jo@example.com' } } },
+      { kind: 'D', path: ['list'], lhs: [{ email: 'a' }, { email: 'b' }] },
+      { kind: 'N', path: ['map'], rhs: new Map([['k', { email: 'c' }]]) },
+    ]
+    const redacted = redactChanges(changes, ['**/email'])
+    expect(redacted[0].rhs).to.eql({ profile: { email: '[REDACTED]' } })
+    expect(redacted[1].lhs).to.eql([{ email: '[REDACTED]' }, { email: '[REDACTED]' }])
+    expect(redacted[2].rhs.get('k')).to.eql({ email: '[REDACTED]' })
+    expect(changes[1].lhs[0].email).to.be('a')
+  })
+
+  it('redacts Set members, text and byte ranges, and the keys of elements', function () {
+    const hash = function (item) {
+      return item.email
+    }
+    const changes = diff(
+      { emails: new Set(['a@x']), bio: 'my phone is 555-0100', pin: new Uint8Array([1, 2]), users: [{ email: 'a' }] },
+      { emails: new Set(['b@x']), bio: 'my phone is 555-0199', pin: new Uint8Array([1, 3]), users: [] },
+      { text: { minLength: 1 }, objectHash: hash }
+    )
+    const redacted = redactChanges(changes, ['/emails', '/bio', '/pin', '/users/*'])
+    expect(JSON.stringify(redacted)).not.to.match(/a@x|b@x|555|"email"/)
+    expect(redacted[0]).to.eql({ kind: 'D', path: ['emails', '[REDACTED]'], lhs: '[REDACTED]' })
+    expect(redacted[2].hunks[0]).to.eql({
+      after: '[REDACTED]',
+      before: '[REDACTED]',
+      index: redacted[2].hunks[0].index,
+      lhs: '[REDACTED]',
+      rhs: '[REDACTED]',
+    })
+    expect(redacted[3]).to.eql({ kind: 'B', path: ['pin'], index: 1, lhs: ['[REDACTED]'], rhs: ['[REDACTED]'] })
+    expect(redacted[4].key).to.be('[REDACTED]')
+    expect(validateChanges(redacted)).to.be(redacted)
+  })
+
+  it('redacts the changes diffIterator yields', function () {
+    expect(Array.from(diffIterator(lhs, rhs, { redact: ['/user'], exclude: ['/tokens', '/sessions'] }))).to.eql([
+      { kind: 'E', path: ['user', 'password'], lhs: '[REDACTED]', rhs: '[REDACTED]' },
+      { kind: 'N', path: ['admin'], rhs: { name: 'al', password: 'pw' } },
+    ])
+  })
+})
@@ -0,0 +1,204 @@
+import { createHmac } from 'crypto'
+import { ArrayDiff, BytesDiff, Change, DeleteDiff, EditDiff, MoveDiff, NewDiff, TextDiff } from './changes'
+import { setChild } from './collections'
+import { compileFilter, PathPattern } from './paths'
+
+/** Returns what to record instead of the value at `path` */
+export type Redactor = (value: any, path: any[]) => any
+
+export interface RedactionRule {
+  /** The secret `'hash'` keys its hashes with, which must not be stored or shared with the changes */
+  readonly key?: string | Buffer
+  /** The values at the paths matching this pattern are redacted, and everything within them with them */
+  readonly path: PathPattern
+  /**
+   * How the values are redacted: `'mask'` (the default) records `'[REDACTED]'` instead, `'hash'` records
+   * `'[REDACTED:<hash>]'` with a hash of the value keyed with `key` that tells whether two values are the same, and a
+   * function returns what to record
+   */
+  readonly with?: 'mask' | 'hash' | Redactor
+}
+
+/** Path patterns of the values to mask, or rules telling how to redact them */
+export type RedactionRules = Array<PathPattern | RedactionRule>
+
+const MASK = '[REDACTED]'
+
+// A representation of a value that is the same for equal values, object keys being sorted
+function canonical(value: any, ancestors: Set<any>): string {
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'string' ? JSON.stringify(value) : String(value)
+  }
+  if (value instanceof Date) {
+    return `Date(${value.getTime()})`
+  }
+  if (ancestors.has(value)) {
+    return '[Circular]'
+  }
+  ancestors.add(value)
+  const all = (values: any[]) => values.map(item => canonical(item, ancestors))
+  let result
+  if (value instanceof Map) {
+    result = `Map{${all(Array.from(value))
+      .sort()
+      .join(',')}}`
+  } else if (value instanceof Set) {
+    result = `Set{${all(Array.from(value))
+      .sort()
+      .join(',')}}`
+  } else if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    result = `[${all(Array.from(value as ArrayLike<any>)).join(',')}]`
+  } else {
+    const keys = Object.keys(value).sort()
+    result = `{${keys.map(key => `${JSON.stringify(key)}:${canonical(value[key], ancestors)}`).join(',')}}`
+  }
+  ancestors.delete(value)
+  return result
+}
+
+/**
+ * Hashes values with HMAC-SHA256 under a secret key, so guessable values such as short passwords can't be found by
+ * hashing candidates without the key. It does not hide whether two redacted values are the same, which is what it is
+ * for, and does not protect anything from whoever holds the key.
+ */
+function hasher(key: string | Buffer): Redactor {
+  return value =>
+    `[REDACTED:${createHmac('sha256', key)
+      .update(canonical(value, new Set()))
+      .digest('hex')}]`
+}
+
+interface CompiledRule {
+  readonly keeps: (path: any[]) => boolean
+  readonly reaches: (path: any[]) => boolean
+  readonly redactor: Redactor
+}
+
+function isRule(rule: PathPattern | RedactionRule): rule is RedactionRule {
+  return typeof rule === 'object' && !Array.isArray(rule)
+}
+
+function compileRule(rule: PathPattern | RedactionRule): CompiledRule {
+  const { path, with: how = 'mask', key } = isRule(rule) ? rule : { path: rule, key: undefined }
+  if (how === 'hash' && !key) {
+    throw new TypeError(`The rule hashing the values at ${JSON.stringify(path)} needs a key`)
+  }
+  const { keeps, reaches } = compileFilter({ include: [path] })
+  const redactor = typeof how === 'function' ? how : how === 'hash' ? hasher(key!) : () => MASK
+  return { keeps, reaches, redactor }
+}
+
+class Redaction {
+  readonly rules: CompiledRule[]
+
+  constructor(rules: RedactionRules) {
+    this.rules = rules.map(compileRule)
+  }
+
+  change(change: Change, base: any[]): Change {
+    const path = base.concat(change.path || [])
+    const rule = this.ruleFor(path)
+    switch (change.kind) {
+      case 'A':
+        const item = this.change(change.item, path.concat(change.index))
+        const key = this.key(change.key, path.concat(change.index))
+        return new ArrayDiff(change.path, change.index, item, key, change.unordered)
+      case 'B':
+        if (!rule) {
+          return change
+        }
+        const redactAll = (values: any[]) => values.map(value => rule.redactor(value, path))
+        return new BytesDiff(change.path, change.index, redactAll(change.lhs), redactAll(change.rhs))
+      case 'D':
+        return new DeleteDiff(this.path(change.path, change.lhs, rule), this.value(change.lhs, path))
+      case 'E':
+        return new EditDiff(change.path, this.value(change.lhs, path), this.value(change.rhs, path))
+      case 'M':
+        return new MoveDiff(change.path, change.from, change.to, this.key(change.key, path.concat(change.from)))
+      case 'N':
+        return new NewDiff(this.path(change.path, change.rhs, rule), this.value(change.rhs, path))
+      case 'T':
+        if (!rule) {
+          return change
+        }
+        // the context of the hunks is part of the value too
+        const text = (fragment: string) => String(rule.redactor(fragment, path))
+        const hunks = change.hunks.map(({ after, before, index, lhs, rhs }) => ({
+          after: text(after),
+          before: text(before),
+          index,
+          lhs: text(lhs),
+          rhs: text(rhs),
+        }))
+        return new TextDiff(change.path, hunks)
+    }
+  }
+
+  // The key an element was matched by is redacted with the element
+  key(key: any, path: any[]) {
+    const rule = this.ruleFor(path)
+    return rule && typeof key !== 'undefined' ? rule.redactor(key, path) : key
+  }
+
+  // A Set member is its own path segment, which would give it away. A property holding its own name is taken for one
+  // too, which only costs its name.
+  path(path: any[] | undefined, value: any, rule: CompiledRule | undefined) {
+    if (!rule || !path || !path.length || path[path.length - 1] !== value) {
+      return path
+    }
+    return path.slice(0, -1).concat([rule.redactor(value, path)])
+  }
+
+  ruleFor(path: any[]) {
+    return this.rules.find(({ keeps }) => keeps(path))
+  }
+
+  // Redacts the value at a path, or the values within it that rules match, copying the objects holding them
+  value(value: any, path: any[], copies = new Map<any, any>()): any {
+    const rule = this.ruleFor(path)
+    if (rule) {
+      return rule.redactor(value, path)
+    }
+    if (
+      value === null ||
+      typeof value !== 'object' ||
+      value instanceof Date ||
+      ArrayBuffer.isView(value) ||
+      !this.rules.some(({ reaches }) => reaches(path))
+    ) {
+      return value
+    }
+    if (copies.has(value)) {
+      return copies.get(value)
+    }
+    if (value instanceof Map) {
+      const copy = new Map()
+      copies.set(value, copy)
+      value.forEach((child, key) => copy.set(key, this.value(child, path.concat([key]), copies)))
+      return copy
+    }
+    if (value instanceof Set) {
+      const copy = new Set()
+      copies.set(value, copy)
+      value.forEach(member => copy.add(this.value(member, path.concat([member]), copies)))
+      return copy
+    }
+    const copy = Array.isArray(value) ? new Array(value.length) : Object.create(Object.getPrototypeOf(value))
+    copies.set(value, copy)
+    for (const key of Object.keys(value)) {
+      setChild(copy, key, this.value(value[key], path.concat([Array.isArray(value) ? Number(key) : key]), copies))
+    }
+    return copy
+  }
+}
+
+/**
+ * Redacts the values at the paths rules match in changes, such as passwords, tokens or personal data, down to those
+ * within the objects and arrays changes add, remove or replace. The changes keep their shape, so what changed still
+ * shows, but can no longer be applied faithfully.
+ */
+export function redactChanges(changes: Change | Change[] | null, rules: RedactionRules): Change[] {
+  const list = !changes ? [] : Array.isArray(changes) ? changes : [changes]
+  const redaction = new Redaction(rules)
+  return list.map(change => redaction.change(change, []))
+}
@@ -0,0 +1,149 @@
+const expect = require('expect.js')
+const {
+  diff,
+  applyChanges,
+  revertChanges,
+  applyJsonPatch,
+  applyMergePatch,
+  UnsafeChangeError,
+} = require('.')
+
+describe('Unsafe changes', function () {
+  afterEach(function () {
+    expect({}.polluted).to.be(undefined)
+    expect(Object.polluted).to.be(undefined)
+  })
+
+  function refusal(run) {
+    try {
+      run()
+    } catch (e) {
+      expect(e).to.be.an(UnsafeChangeError)
+      return e
+    }
+    throw new Error('The changes were not refused')
+  }
+
+  it('refuses paths reaching object prototypes', function () {
+    const malicious = [
+      [{ kind: 'N', path: ['__proto__', 'polluted'], rhs: true }],
+      [{ kind: 'E', path: ['a', 'constructor', 'prototype', 'polluted'], lhs: undefined, rhs: true }],
+      [{ kind: 'A', path: ['list'], index: 0, item: { kind: 'N', path: ['__proto__', 'polluted'], rhs: true } }],
+    ]
+    malicious.forEach(function (changes) {
+      expect(refusal(function () {
+        applyChanges({ a: {}, list: [{}] }, changes)
+      }).reason).to.be('unsafe')
+      refusal(function () {
+        revertChanges({ a: {}, list: [{}] }, changes)
+      })
+      refusal(function () {
+        applyChanges({}, changes, { dryRun: true })
+      })
+      refusal(function () {
+        applyChanges({}, changes, { continueOnError: true })
+      })
+    })
+    const error = refusal(function () {
+      applyChanges({}, malicious[2])
+    })
+    expect(error.message).to.be('Change 0 at list.0.__proto__.polluted is refused: its path reaches object prototypes')
+    expect(error.index).to.be(0)
+    expect(error.path).to.eql(['list', 0, '__proto__', 'polluted'])
+  })
+
+  it('refuses values holding keys that reach prototypes', function () {
+    const polluting = JSON.parse('{ "__proto__": { "polluted": true } }')
+    const malicious = [
+      [{ kind: 'E', lhs: {}, rhs: polluting }],
+      [{ kind: 'N', path: ['a'], rhs: { list: [polluting] } }],
+      [{ kind: 'D', path: ['a'], lhs: polluting }],
+      [{ kind: 'A', path: ['list'], index: 0, item: { kind: 'N', rhs: { constructor: { prototype: {} } } } }],
+    ]
+    malicious.forEach(function (changes) {
+      expect(refusal(function () {
+        applyChanges({ a: {}, list: [] }, changes)
+      }).reason).to.be('unsafe')
+      refusal(function () {
+        revertChanges({ a: {}, list: [] }, changes)
+      })
+    })
+    const error = refusal(function () {
+      applyChanges({}, malicious[1])
+    })
+    expect(error.message).to.be('Change 0 at a.list.0.__proto__ is refused: its value holds a key reaching object prototypes')
+    expect(error.path).to.eql(['a', 'list', 0, '__proto__'])
+    refusal(function () {
+      applyJsonPatch(1, [{ op: 'replace', path: '', value: polluting }])
+    })
+  })
+
+  it('refuses the whole patch before applying any of it', function () {
+    const target = { a: 1 }
+    refusal(function () {
+      applyChanges(target, [
+        { kind: 'E', path: ['a'], lhs: 1, rhs: 2 },
+        { kind: 'N', path: ['__proto__', 'polluted'], rhs: true },
+      ], { mode: 'mutate' })
+    })
+    expect(target).to.eql({ a: 1 })
+  })
+
+  it('only walks into own properties', function () {
+    const result = applyChanges({}, [{ kind: 'N', path: ['constructor', 'polluted'], rhs: true }])
+    expect(result).to.eql({ constructor: { polluted: true } })
+    expect(result.constructor).not.to.be(Object)
+    const lhs = { constructor: { name: 'a' }, prototype: 1 }
+    const rhs = { constructor: { name: 'b' }, prototype: 2 }
+    expect(applyChanges(lhs, diff(lhs, rhs), { strict: true })).to.eql(rhs)
+  })
+
+  it('keeps JSON Patch and merge patches from reaching prototypes', function () {
+    refusal(function () {
+      applyJsonPatch({}, [{ op: 'add', path: '/__proto__/polluted', value: true }])
+    })
+    const result = applyMergePatch({}, JSON.parse('{ "__proto__": { "polluted": true } }'))
+    expect(Object.getPrototypeOf(result)).to.be(Object.prototype)
+    expect(Object.keys(result)).to.eql(['__proto__'])
+  })
+
+  it('allows the paths a filter or function allows', function () {
+    const lhs = { user: { name: 'a', role: 'user' } }
+    const rhs = { user: { name: 'b', role: 'admin' } }
+    const changes = diff(lhs, rhs)
+    expect(applyChanges(lhs, changes, { paths: { include: ['/user/name', '/user/role'] } })).to.eql(rhs)
+    const error = refusal(function () {
+      applyChanges(lhs, changes, { paths: { exclude: ['**/role'] } })
+    })
+    expect(error.reason).to.be('denied')
+    expect(error.message).to.be('Change 1 at user.role is refused: its path is not allowed')
+    const seen = []
+    refusal(function () {
+      revertChanges(rhs, changes, {
+        paths: function (path, change) {
+          seen.push([path, change.kind])
+          return path[1] !== 'role'
+        },
+      })
+    })
+    expect(seen).to.eql([[['user', 'name'], 'E'], [['user', 'role'], 'E']])
+  })
+
+  it('limits the number of changes and the depth of their paths', function () {
+    const changes = diff({ a: { b: [1] }, c: 1 }, { a: { b: [1, 2] }, c: 2 })
+    expect(applyChanges({ a: { b: [1] }, c: 1 }, changes, { maxChanges: 2, maxDepth: 3 })).to.eql({
+      a: { b: [1, 2] },
+      c: 2,
+    })
+    const size = refusal(function () {
+      applyChanges({}, changes, { maxChanges: 1 })
+    })
+    expect(size.reason).to.be('size')
+    expect(size.message).to.be('Change 1 at c is refused: there are more than 1 changes')
+    const depth = refusal(function () {
+      applyChanges({}, changes, { maxDepth: 2 })
+    })
+    expect(depth.reason).to.be('depth')
+    expect(depth.message).to.be('Change 0 at a.b.1 is refused: its path is longer than 2')
+  })
+})
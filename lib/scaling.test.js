@@ -0,0 +1,80 @@
+const expect = require('expect.js')
+const { diff } = require('.')
+
+// The diff engine visits every value once, so its work grows with the size of the values rather than its square, and
+// depth is only bound by memory
+describe('Scaling', function () {
+  this.timeout(60000)
+
+  function nest(depth, leaf) {
+    let value = leaf
+    for (let i = 0; i < depth; i++) {
+      value = i % 2 ? { child: value } : [value]
+    }
+    return value
+  }
+
+  function wide(size, offset) {
+    const value = {}
+    for (let i = 0; i < size; i++) {
+      value['key' + i] = { id: i, value: i + offset }
+    }
+    return value
+  }
+
+  it('diffs values nested 100k levels deep without overflowing the stack', function () {
+    const changes = diff(nest(100000, { leaf: 1 }), nest(100000, { leaf: 2 }))
+    expect(changes).to.have.length(1)
+    expect(changes[0].path).to.have.length(100001)
+    expect(diff(nest(100000, 'same'), nest(100000, 'same'))).to.be(null)
+  })
+
+  it('filters the paths of values nested 100k levels deep', function () {
+    const excluded = diff(nest(100000, { leaf: 1, x: 1 }), nest(100000, { leaf: 2, x: 2 }), { exclude: ['**/x'] })
+    expect(excluded).to.have.length(1)
+    expect(excluded[0].path[100000]).to.be('leaf')
+    const included = diff(nest(100000, { leaf: 1, x: 1 }), nest(100000, { leaf: 2, x: 2 }), { include: ['**/x'] })
+    expect(included).to.have.length(1)
+    expect(included[0].path[100000]).to.be('x')
+  })
+
+  it('compares long arrays as sequences', function () {
+    const lhs = Array.from({ length: 20000 }, function (_, i) { return { v: i } })
+    const rhs = Array.from({ length: 20000 }, function (_, i) { return { v: -i } })
+    const disjoint = diff(lhs, rhs, { arrays: 'lcs' })
+    // the first elements are the same, all the others are replaced in place
+    expect(disjoint).to.have.length(19999)
+    const reversed = lhs.slice(0, 4000).reverse()
+    const keyed = diff(lhs.slice(0, 4000), reversed, { arrays: 'lcs', objectHash: function (item) { return item.v } })
+    expect(keyed.filter(function (change) { return change.kind === 'M' })).to.have.length(3999)
+  })
+
+  it('diffs objects with 100k keys', function () {
+    const changes = diff(wide(100000, 0), wide(100000, 1))
+    expect(changes).to.have.length(100000)
+    expect(changes[99999].path).to.eql(['key99999', 'value'])
+  })
+
+  it('hands objectHash the path of long arrays deep in a document', function () {
+    const list = function (changed) {
+      return Array.from({ length: 20000 }, function (_, i) { return { id: i, value: i === changed ? -i : i } })
+    }
+    const deep = function (offset) {
+      let value = list(offset)
+      for (let i = 0; i < 10000; i++) {
+        value = { child: value }
+      }
+      return value
+    }
+    const lengths = new Set()
+    const changes = diff(deep(-1), deep(5000), {
+      objectHash: function (item, path) {
+        lengths.add(path.length)
+        return item.id
+      },
+    })
+    expect(Array.from(lengths)).to.eql([10000])
+    expect(changes).to.have.length(1)
+    expect(changes[0].index).to.be(5000)
+  })
+})
@@ -0,0 +1,162 @@
+const expect = require('expect.js')
+const {
+  diff,
+  applyChanges,
+  parseChanges,
+  serializeChanges,
+  validateChanges,
+  InvalidChangeError,
+  UnsafeChangeError,
+} = require('.')
+
+describe('Serialized changes', function () {
+  const lhs = {
+    at: new Date('2018-01-01T00:00:00.000Z'),
+    tags: new Set(['x']),
+    counts: new Map([[{ id: 1 }, 1]]),
+    data: new Float64Array([1, NaN]),
+    list: [1, 2],
+    $type: 'kept',
+  }
+  const rhs = {
+    at: new Date('2019-01-01T00:00:00.000Z'),
+    tags: new Set(['x', 'y']),
+    counts: new Map([[{ id: 1 }, 2]]),
+    data: new Float64Array([-0, Infinity]),
+    list: [1],
+    $type: { $type: 'Date' },
+    missing: undefined,
+  }
+
+  it('restores the values JSON cannot hold', function () {
+    const changes = diff(lhs, rhs)
+    const parsed = parseChanges(serializeChanges(changes))
+    expect(serializeChanges(parsed)).to.be(serializeChanges(changes))
+    expect(parsed[0].lhs).to.be.a(Date)
+    const [regExp] = parseChanges(serializeChanges({ kind: 'N', path: ['re'], rhs: /b+/gy }))
+    expect(regExp.rhs).to.be.a(RegExp)
+    expect(String(regExp.rhs)).to.be('/b+/gy')
+    expect(parsed[2].path[1]).to.eql({ id: 1 })
+    expect(Object.is(parsed[3].rhs[0], -0)).to.be(true)
+    expect(parsed[3].lhs[1]).not.to.be(parsed[3].lhs[1])
+    expect(parsed[5].rhs).to.eql({ $type: 'Date' })
+    expect(parsed[6]).to.have.key('rhs')
+    expect(diff(applyChanges(lhs, parsed, { strict: true }), rhs)).to.be(null)
+  })
+
+  it('encodes values as tagged objects in a versioned document', function () {
+    const serialized = JSON.parse(serializeChanges(diff({ a: [1] }, { a: [1, undefined], b: new Uint8Array([1]) })))
+    expect(serialized).to.eql({
+      changes: [
+        { kind: 'A', path: ['a'], index: 1, item: { kind: 'N', rhs: { $type: 'undefined' } } },
+        { kind: 'N', path: ['b'], rhs: { $type: 'Uint8Array', value: [1] } },
+      ],
+      format: 'yajsondiff',
+      version: 1,
+    })
+    expect(parseChanges(serialized)[1].rhs).to.be.a(Uint8Array)
+    expect(parseChanges(serializeChanges(null))).to.eql([])
+  })
+
+  it('rehydrates the change classes', function () {
+    const changes = diff({ a: 'x' }, { a: 'y' })
+    const parsed = parseChanges(JSON.stringify({ changes: changes, format: 'yajsondiff', version: 1 }))
+    expect(parsed[0].constructor).to.be(changes[0].constructor)
+  })
+
+  it('keeps own __proto__ keys as keys', function () {
+    const change = { kind: 'N', path: ['user'], rhs: JSON.parse('{ "name": "x", "__proto__": { "isAdmin": true } }') }
+    const serialized = JSON.stringify({ changes: [change], format: 'yajsondiff', version: 1 })
+    const [parsed] = parseChanges(serialized)
+    expect(Object.getPrototypeOf(parsed.rhs)).to.be(Object.prototype)
+    expect(Object.keys(parsed.rhs)).to.eql(['name', '__proto__'])
+    expect(parsed.rhs.isAdmin).to.be(undefined)
+    expect(function () {
+      applyChanges({}, [parsed])
+    }).to.throwError(function (e) {
+      expect(e).to.be.an(UnsafeChangeError)
+      expect(e.path).to.eql(['user', '__proto__'])
+    })
+    expect(JSON.parse(serializeChanges([parsed])).changes[0].rhs).to.eql(JSON.parse(serialized).changes[0].rhs)
+  })
+
+  it('refuses what it cannot serialize or read', function () {
+    const cycle = { a: {} }
+    cycle.a.b = cycle
+    expect(function () {
+      serializeChanges([{ kind: 'N', path: ['a'], rhs: cycle }])
+    }).to.throwError(/Cannot serialize a circular structure/)
+    expect(function () {
+      serializeChanges([{ kind: 'N', path: ['a'], rhs: function () {} }])
+    }).to.throwError(/Cannot serialize a function/)
+    expect(function () {
+      parseChanges('[]')
+    }).to.throwError(/Not a document of serialized changes/)
+    expect(function () {
+      parseChanges({ changes: [], format: 'yajsondiff', version: 2 })
+    }).to.throwError(/Cannot read serialized changes of version 2, only of version 1/)
+    expect(function () {
+      const changes = [{ kind: 'N', path: ['a'], rhs: { $type: 'Symbol' } }]
+      parseChanges({ changes: changes, format: 'yajsondiff', version: 1 })
+    }).to.throwError(/Cannot deserialize a value of unknown type "Symbol"/)
+  })
+
+  describe('validation', function () {
+    function reasonFor(changes) {
+      try {
+        validateChanges(changes)
+      } catch (e) {
+        expect(e).to.be.an(InvalidChangeError)
+        return e.message
+      }
+    }
+
+    it('accepts well formed changes', function () {
+      const changes = diff({ a: [1, 2], s: 'x' }, { a: [2, 3], s: 'y', t: new Uint8Array([1]) })
+      expect(validateChanges(changes)).to.be(changes)
+      expect(validateChanges(changes[0])).to.eql([changes[0]])
+      expect(validateChanges(null)).to.eql([])
+    })
+
+    it('rejects malformed records with the field at fault', function () {
+      expect(reasonFor([{ kind: 'E', path: ['a'], lhs: 1, rhs: 2 }, 'E'])).to.be(
+        'Change 1 is invalid: it is not an object'
+      )
+      expect(reasonFor([{ kind: 'X', path: [] }])).to.be(
+        'Change 0 is invalid: kind "X" is not one of E, N, D, A, M, T, B'
+      )
+      expect(reasonFor([{ kind: 'N', path: 'a', rhs: 1 }])).to.be('Change 0 is invalid: path is not an array')
+      expect(reasonFor([{ kind: 'E', path: ['a'], rhs: 1 }])).to.be('Change 0 is invalid: lhs is missing')
+      expect(reasonFor([{ kind: 'A', path: ['a'], index: 0 }])).to.be('Change 0 is invalid: item is missing')
+      expect(reasonFor([{ kind: 'A', path: ['a'], index: -1, item: {} }])).to.be(
+        'Change 0 is invalid: index is not an array index'
+      )
+      expect(reasonFor([{ kind: 'A', path: ['a'], index: 0, item: { kind: 'D' } }])).to.be(
+        'Change 0 is invalid: item.lhs is missing'
+      )
+      expect(reasonFor([{ kind: 'A', path: ['a'], index: 0, item: null }])).to.be(
+        'Change 0 is invalid: item is not an object'
+      )
+      expect(reasonFor([{ kind: 'M', path: ['a'], from: 0, to: '1' }])).to.be(
+        'Change 0 is invalid: to is not an array index'
+      )
+      expect(reasonFor([{ kind: 'T', path: ['a'], hunks: [{ after: '', before: '', lhs: 'a', index: 0 }] }])).to.be(
+        'Change 0 is invalid: hunks[0].rhs is not a string'
+      )
+      expect(reasonFor([{ kind: 'B', path: ['a'], index: 0, lhs: [1], rhs: 2 }])).to.be(
+        'Change 0 is invalid: rhs is not an array'
+      )
+    })
+
+    it('checks the changes it parses', function () {
+      const serialized = serializeChanges([{ kind: 'A', path: ['a'], index: 0 }])
+      expect(function () {
+        parseChanges(serialized)
+      }).to.throwError(function (e) {
+        expect(e).to.be.an(InvalidChangeError)
+        expect(e.index).to.be(0)
+        expect(e.reason).to.be('item is missing')
+      })
+    })
+  })
+})
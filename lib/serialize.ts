@@ -0,0 +1,268 @@
+import { isTypedArray } from './bytes'
+import { ArrayDiff, BytesDiff, Change, DeleteDiff, EditDiff, MoveDiff, NewDiff, TextDiff } from './changes'
+import { setChild } from './collections'
+import { InvalidChangeError } from './errors'
+
+/** The JSON document `serializeChanges` makes */
+export interface SerializedChanges {
+  /** The changes, their values that JSON can't hold encoded as objects tagged with a `$type` */
+  readonly changes: any[]
+  readonly format: 'yajsondiff'
+  readonly version: number
+}
+
+const FORMAT = 'yajsondiff'
+
+const VERSION = 1
+
+const KINDS = ['E', 'N', 'D', 'A', 'M', 'T', 'B']
+
+const TYPED_ARRAYS: { [name: string]: any } = {
+  Float32Array,
+  Float64Array,
+  Int16Array,
+  Int32Array,
+  Int8Array,
+  Uint16Array,
+  Uint32Array,
+  Uint8Array,
+  Uint8ClampedArray,
+}
+
+function encodeNumber(value: number) {
+  if (value !== value) {
+    return { $type: 'number', value: 'NaN' }
+  }
+  if (value === Infinity || value === -Infinity) {
+    return { $type: 'number', value: String(value) }
+  }
+  return Object.is(value, -0) ? { $type: 'number', value: '-0' } : value
+}
+
+function encode(value: any, ancestors: Set<any>): any {
+  switch (typeof value) {
+    case 'undefined':
+      return { $type: 'undefined' }
+    case 'number':
+      return encodeNumber(value)
+    case 'function':
+    case 'symbol':
+      throw new TypeError(`Cannot serialize a ${typeof value}`)
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (value instanceof Date) {
+    return { $type: 'Date', value: isNaN(value.getTime()) ? null : value.toISOString() }
+  }
+  if (value instanceof RegExp) {
+    return { $type: 'RegExp', flags: value.flags, source: value.source }
+  }
+  if (isTypedArray(value)) {
+    const type = typeof Buffer !== 'undefined' && Buffer.isBuffer(value) ? 'Buffer' : value.constructor.name
+    return { $type: type, value: Array.from(value as ArrayLike<number>, encodeNumber) }
+  }
+  if (ancestors.has(value)) {
+    throw new TypeError('Cannot serialize a circular structure')
+  }
+  ancestors.add(value)
+  let encoded: any
+  if (value instanceof Map) {
+    encoded = { $type: 'Map', value: Array.from(value, entry => encode(entry, ancestors)) }
+  } else if (value instanceof Set) {
+    encoded = { $type: 'Set', value: Array.from(value, member => encode(member, ancestors)) }
+  } else if (Array.isArray(value)) {
+    // for...of reads holes as undefined, which map would leave out
+    encoded = []
+    for (const element of value) {
+      encoded.push(encode(element, ancestors))
+    }
+  } else {
+    encoded = {}
+    for (const key of Object.keys(value)) {
+      setChild(encoded, key, encode(value[key], ancestors))
+    }
+    if (Object.prototype.hasOwnProperty.call(value, '$type')) {
+      encoded = { $type: 'Object', value: encoded }
+    }
+  }
+  ancestors.delete(value)
+  return encoded
+}
+
+function decodeTagged(value: any) {
+  switch (value.$type) {
+    case 'undefined':
+      return undefined
+    case 'number':
+      return Number(value.value)
+    case 'Date':
+      return new Date(value.value === null ? NaN : value.value)
+    case 'RegExp':
+      return new RegExp(value.source, value.flags)
+    case 'Map':
+      return new Map(value.value.map(decode))
+    case 'Set':
+      return new Set(value.value.map(decode))
+    case 'Object':
+      return decodeObject(value.value)
+    case 'Buffer':
+      return typeof Buffer !== 'undefined'
+        ? Buffer.from(value.value.map(decode))
+        : new Uint8Array(value.value.map(decode))
+  }
+  if (TYPED_ARRAYS.hasOwnProperty(value.$type)) {
+    return TYPED_ARRAYS[value.$type].from(value.value.map(decode))
+  }
+  throw new TypeError(`Cannot deserialize a value of unknown type ${JSON.stringify(value.$type)}`)
+}
+
+function decodeObject(value: any) {
+  const decoded: any = {}
+  for (const key of Object.keys(value)) {
+    // an own `__proto__` key stays a key, for applying the changes to screen
+    setChild(decoded, key, decode(value[key]))
+  }
+  return decoded
+}
+
+function decode(value: any): any {
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (Array.isArray(value)) {
+    return value.map(decode)
+  }
+  return Object.prototype.hasOwnProperty.call(value, '$type') ? decodeTagged(value) : decodeObject(value)
+}
+
+function isIndex(value: any) {
+  return typeof value === 'number' && value >= 0 && Math.floor(value) === value
+}
+
+function has(change: any, field: string) {
+  return Object.prototype.hasOwnProperty.call(change, field)
+}
+
+// What is wrong with a change record, its fields named after `prefix`, undefined when nothing is
+function problemWith(change: any, prefix: string): string | undefined {
+  if (!change || typeof change !== 'object' || Array.isArray(change)) {
+    return `${prefix ? prefix.slice(0, -1) : 'it'} is not an object`
+  }
+  if (KINDS.indexOf(change.kind) < 0) {
+    return `${prefix}kind ${JSON.stringify(change.kind)} is not one of ${KINDS.join(', ')}`
+  }
+  if (typeof change.path !== 'undefined' && !Array.isArray(change.path)) {
+    return `${prefix}path is not an array`
+  }
+  const missing = (fields: string[]) => fields.filter(field => !has(change, field)).map(field => prefix + field)[0]
+  switch (change.kind) {
+    case 'E':
+    case 'N':
+    case 'D':
+      const absent = missing(change.kind === 'E' ? ['lhs', 'rhs'] : change.kind === 'N' ? ['rhs'] : ['lhs'])
+      return absent && `${absent} is missing`
+    case 'A':
+      if (!isIndex(change.index)) {
+        return `${prefix}index is not an array index`
+      }
+      if (!has(change, 'item')) {
+        return `${prefix}item is missing`
+      }
+      if (has(change, 'unordered') && typeof change.unordered !== 'boolean') {
+        return `${prefix}unordered is not a boolean`
+      }
+      return problemWith(change.item, `${prefix}item.`)
+    case 'M':
+      const notIndex = ['from', 'to'].filter(field => !isIndex(change[field]))[0]
+      return notIndex && `${prefix}${notIndex} is not an array index`
+    case 'T':
+      if (!Array.isArray(change.hunks)) {
+        return `${prefix}hunks is not an array`
+      }
+      for (let i = 0; i < change.hunks.length; i++) {
+        const hunk = change.hunks[i]
+        if (!hunk || typeof hunk !== 'object') {
+          return `${prefix}hunks[${i}] is not an object`
+        }
+        const notString = ['after', 'before', 'lhs', 'rhs'].filter(field => typeof hunk[field] !== 'string')[0]
+        if (notString) {
+          return `${prefix}hunks[${i}].${notString} is not a string`
+        }
+        if (!isIndex(hunk.index)) {
+          return `${prefix}hunks[${i}].index is not a string index`
+        }
+      }
+      return
+    case 'B':
+      if (!isIndex(change.index)) {
+        return `${prefix}index is not an array index`
+      }
+      const notArray = ['lhs', 'rhs'].filter(field => !Array.isArray(change[field]))[0]
+      return notArray && `${prefix}${notArray} is not an array`
+  }
+}
+
+/**
+ * Checks that change records, say loaded from a database, are well formed: that they are of a known kind, have an
+ * array for a path and the fields their kind needs. Throws an `InvalidChangeError` naming the first change at fault
+ * and what is wrong with it.
+ */
+export function validateChanges(changes: any): Change[] {
+  if (changes === null) {
+    return []
+  }
+  const list = Array.isArray(changes) ? changes : [changes]
+  list.forEach((change, index) => {
+    const problem = problemWith(change, '')
+    if (problem) {
+      throw new InvalidChangeError(index, problem)
+    }
+  })
+  return list
+}
+
+// The change a valid record stands for, made of the classes `diff` makes
+function rehydrate(change: any): Change {
+  switch (change.kind as Change['kind']) {
+    case 'A':
+      return new ArrayDiff(change.path, change.index, rehydrate(change.item), change.key, change.unordered)
+    case 'B':
+      return new BytesDiff(change.path, change.index, change.lhs, change.rhs)
+    case 'D':
+      return new DeleteDiff(change.path, change.lhs)
+    case 'E':
+      return new EditDiff(change.path, change.lhs, change.rhs)
+    case 'M':
+      return new MoveDiff(change.path, change.from, change.to, change.key)
+    case 'N':
+      return new NewDiff(change.path, change.rhs)
+    case 'T':
+      return new TextDiff(change.path, change.hunks)
+  }
+}
+
+/**
+ * Serializes changes to a JSON document with a version, that `parseChanges` reads back. Values JSON can't hold, such
+ * as Dates, RegExps, Maps, Sets, typed arrays, `undefined` and `NaN`, are encoded as objects tagged with their type.
+ */
+export function serializeChanges(changes: Change | Change[] | null, space?: string | number) {
+  const list = changes === null ? [] : Array.isArray(changes) ? changes : [changes]
+  const document: SerializedChanges = { changes: encode(list, new Set()), format: FORMAT, version: VERSION }
+  return JSON.stringify(document, null, space)
+}
+
+/**
+ * Reads back the changes `serializeChanges` wrote, from its JSON text or the document parsed from it, restoring the
+ * types of their values and checking them with `validateChanges`.
+ */
+export function parseChanges(serialized: string | SerializedChanges): Change[] {
+  const document: any = typeof serialized === 'string' ? JSON.parse(serialized) : serialized
+  if (!document || document.format !== FORMAT || !Array.isArray(document.changes)) {
+    throw new TypeError('Not a document of serialized changes')
+  }
+  if (document.version !== VERSION) {
+    throw new TypeError(`Cannot read serialized changes of version ${document.version}, only of version ${VERSION}`)
+  }
+  return validateChanges(decode(document.changes)).map(rehydrate)
+}
@@ -0,0 +1,111 @@
+const expect = require('expect.js')
+const { diff, applyChanges, revertChanges } = require('.')
+
+describe('Apply modes', function () {
+  function freezeAll(value) {
+    Object.freeze(value)
+    Object.keys(value).forEach(function (key) {
+      if (value[key] && typeof value[key] === 'object') {
+        freezeAll(value[key])
+      }
+    })
+    return value
+  }
+
+  function state() {
+    return freezeAll({
+      users: { byId: { 1: { name: 'Jo', tags: ['a'] }, 2: { name: 'Al', tags: ['b'] } } },
+      todos: [{ id: 1, done: false }, { id: 2, done: false }],
+      settings: { theme: 'dark' },
+    })
+  }
+
+  describe('share', function () {
+    it('copies only the objects along the paths of the changes', function () {
+      const lhs = state()
+      const rhs = { users: lhs.users, todos: [lhs.todos[0], { id: 2, done: true }], settings: lhs.settings }
+      const result = applyChanges(lhs, diff(lhs, rhs), { mode: 'share' })
+      expect(result).to.eql(rhs)
+      expect(result).not.to.be(lhs)
+      expect(result.users).to.be(lhs.users)
+      expect(result.settings).to.be(lhs.settings)
+      expect(result.todos).not.to.be(lhs.todos)
+      expect(result.todos[0]).to.be(lhs.todos[0])
+      expect(result.todos[1]).not.to.be(lhs.todos[1])
+      expect(lhs.todos[1].done).to.be(false)
+    })
+
+    it('copies arrays whose elements are added, removed or moved', function () {
+      const lhs = state()
+      const rhs = JSON.parse(JSON.stringify(lhs))
+      rhs.users.byId[1].tags.push('c')
+      rhs.todos.reverse()
+      const changes = diff(lhs, rhs, { arrays: 'lcs' })
+      const result = applyChanges(lhs, changes, { mode: 'share', strict: true })
+      expect(result).to.eql(rhs)
+      expect(result.users.byId[2]).to.be(lhs.users.byId[2])
+      expect(result.todos[0]).to.be(lhs.todos[1])
+      expect(result.users.byId[1].tags).not.to.be(lhs.users.byId[1].tags)
+      const reverted = revertChanges(result, changes, { mode: 'share' })
+      expect(reverted).to.eql(lhs)
+      expect(reverted.settings).to.be(lhs.settings)
+    })
+
+    it('copies Maps and Sets along the way', function () {
+      const inner = { v: 1 }
+      const lhs = { map: new Map([['a', inner], ['b', { v: 2 }]]), set: new Set(['x']) }
+      const result = applyChanges(lhs, diff(lhs, { map: new Map([['a', inner], ['b', { v: 3 }]]), set: new Set() }), {
+        mode: 'share',
+      })
+      expect(result.map).not.to.be(lhs.map)
+      expect(result.map.get('a')).to.be(inner)
+      expect(result.map.get('b')).to.eql({ v: 3 })
+      expect(lhs.map.get('b')).to.eql({ v: 2 })
+      expect(Array.from(result.set)).to.eql([])
+      expect(Array.from(lhs.set)).to.eql(['x'])
+    })
+
+    it('returns the target when nothing changes', function () {
+      const lhs = state()
+      expect(applyChanges(lhs, null, { mode: 'share' })).to.be(lhs)
+    })
+  })
+
+  describe('freeze', function () {
+    it('freezes what the result does not share with the target', function () {
+      const lhs = { a: { b: 1 }, c: { d: 1 } }
+      const result = applyChanges(lhs, diff(lhs, { a: { b: 2 }, c: { d: 1 }, e: { f: 1 } }), {
+        mode: 'share',
+        freeze: true,
+      })
+      expect(Object.isFrozen(result)).to.be(true)
+      expect(Object.isFrozen(result.a)).to.be(true)
+      expect(Object.isFrozen(result.e)).to.be(true)
+      expect(result.c).to.be(lhs.c)
+      expect(Object.isFrozen(lhs.c)).to.be(false)
+    })
+
+    it('freezes the whole result of a clone', function () {
+      const result = applyChanges({ a: { b: [1] } }, diff({ a: { b: [1] } }, { a: { b: [2] } }), { freeze: true })
+      expect(Object.isFrozen(result.a.b)).to.be(true)
+    })
+  })
+
+  describe('mutate', function () {
+    it('changes the target itself', function () {
+      const lhs = { a: { b: 1 }, c: [1] }
+      const c = lhs.c
+      const result = applyChanges(lhs, diff(lhs, { a: { b: 2 }, c: [1, 2] }), { mode: 'mutate' })
+      expect(result).to.be(lhs)
+      expect(lhs).to.eql({ a: { b: 2 }, c: [1, 2] })
+      expect(lhs.c).to.be(c)
+    })
+
+    it('leaves the target alone on a dry run', function () {
+      const lhs = { a: 1 }
+      const report = applyChanges(lhs, diff(lhs, { a: 2 }), { mode: 'mutate', dryRun: true })
+      expect(report).to.eql({ conflicts: [] })
+      expect(lhs).to.eql({ a: 1 })
+    })
+  })
+})
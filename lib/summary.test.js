@@ -0,0 +1,79 @@
+const expect = require('expect.js')
+const { diff, similarity, summarizeChanges } = require('.')
+
+describe('Summaries', function () {
+  const lhs = { name: 'jo', tags: ['a', 'b'], address: { city: 'x', zip: 1 }, age: 3 }
+  const rhs = { name: 'al', tags: ['a', 'c', 'd'], address: { city: 'y', zip: 1, street: 's' } }
+
+  it('counts changes by kind', function () {
+    const summary = summarizeChanges(diff(lhs, rhs))
+    expect(summary.counts).to.eql({ A: 1, B: 0, D: 1, E: 3, M: 0, N: 1, T: 0 })
+    expect(summary.total).to.be(6)
+  })
+
+  it('lists the top-level keys changes reach', function () {
+    expect(summarizeChanges(diff(lhs, rhs)).keys).to.eql(['name', 'tags', 'address', 'age'])
+    expect(summarizeChanges(diff(1, 2)).keys).to.eql([])
+  })
+
+  it('counts the changes within every changed path', function () {
+    const { tree } = summarizeChanges(diff(lhs, rhs))
+    expect(tree.path).to.eql([])
+    expect(tree.key).to.be(undefined)
+    expect(tree.total).to.be(6)
+    const tags = tree.children[1]
+    expect(tags.key).to.be('tags')
+    expect(tags.counts).to.eql({ A: 1, B: 0, D: 0, E: 1, M: 0, N: 0, T: 0 })
+    expect(tags.children.map(child => [child.path, child.total])).to.eql([[['tags', 2], 1], [['tags', 1], 1]])
+    const address = tree.children[2]
+    expect(address.total).to.be(2)
+    expect(address.children.map(child => child.key)).to.eql(['city', 'street'])
+    expect(address.children[1]).to.eql({
+      children: [],
+      counts: { A: 0, B: 0, D: 0, E: 0, M: 0, N: 1, T: 0 },
+      key: 'street',
+      path: ['address', 'street'],
+      total: 1,
+    })
+  })
+
+  it('summarizes no changes', function () {
+    const summary = summarizeChanges(null)
+    expect(summary.total).to.be(0)
+    expect(summary.keys).to.eql([])
+    expect(summary.tree.children).to.eql([])
+  })
+})
+
+describe('Similarity', function () {
+  it('is 1 for equal values and 0 for values with nothing in common', function () {
+    expect(similarity({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).to.be(1)
+    expect(similarity(1, 1)).to.be(1)
+    expect(similarity({ a: 1 }, [1])).to.be(0)
+    expect(similarity('a', 'b')).to.be(0)
+  })
+
+  it('is the share of the values found on both sides', function () {
+    // the objects and a match, against the edited value on each side
+    expect(similarity({ a: 1, b: 2 }, { a: 1, b: 3 })).to.be(4 / 6)
+    const small = similarity({ a: 1, b: 2, c: 3, d: 4 }, { a: 1, b: 2, c: 3, d: 5 })
+    const large = similarity({ a: 1, b: 2, c: 3, d: 4 }, { a: 9, b: 8, c: 7, d: 5 })
+    expect(small).to.be.greaterThan(large)
+    expect(large).to.be.greaterThan(0)
+  })
+
+  it('counts the same values however arrays are diffed', function () {
+    const expected = similarity([1, 2, 3], [1, 2, 3, 4])
+    expect(expected).to.be(8 / 9)
+    expect(similarity([1, 2, 3], [1, 2, 3, 4], { arrays: 'lcs' })).to.be(expected)
+    expect(similarity([1, 2, 3], [1, 2, 3, 4], { arrays: 'unordered' })).to.be(expected)
+    const objectHash = item => item.id
+    const moved = similarity([{ id: 1 }, { id: 2, v: 1 }], [{ id: 2, v: 1 }, { id: 1 }], { objectHash })
+    expect(moved).to.be(1)
+  })
+
+  it('takes the options of diff', function () {
+    expect(similarity({ a: 1, b: 2 }, { a: 1, b: 3 }, { exclude: ['/b'] })).to.be(1)
+    expect(similarity(new Set([1, 2]), new Set([1, 3]))).to.be(4 / 6)
+  })
+})
@@ -0,0 +1,76 @@
+import { Change } from './changes'
+import { targetPath } from './filter'
+
+/** How many changes there are of each kind */
+export type ChangeCounts = { [kind in Change['kind']]: number }
+
+/** The changes to a value and the values within it */
+export interface SummaryNode {
+  /** The values within this one that changed, in the order their first changes come */
+  readonly children: SummaryNode[]
+  readonly counts: ChangeCounts
+  /** The key of the value in its parent, undefined for the root */
+  readonly key?: any
+  readonly path: any[]
+  readonly total: number
+}
+
+export interface ChangeSummary {
+  readonly counts: ChangeCounts
+  /** The distinct top-level keys changes reach, in the order their first changes come */
+  readonly keys: any[]
+  readonly total: number
+  /** The changed paths, each node counting the changes to its value and the values within it */
+  readonly tree: SummaryNode
+}
+
+interface Branch {
+  readonly children: Map<any, Branch>
+  readonly counts: ChangeCounts
+  readonly key?: any
+  readonly path: any[]
+  total: number
+}
+
+function branch(path: any[], key?: any): Branch {
+  const counts = { A: 0, B: 0, D: 0, E: 0, M: 0, N: 0, T: 0 }
+  return { children: new Map(), counts, key, path, total: 0 }
+}
+
+function toNode({ children, counts, key, path, total }: Branch): SummaryNode {
+  return { children: Array.from(children.values(), toNode), counts, key, path, total }
+}
+
+/**
+ * Counts changes by kind, and for every path they reach by the values within it, so large edits can be told apart from
+ * small ones without walking the documents again. Array changes are counted at the element they apply to, and as
+ * changes of kind `A`.
+ */
+export function summarizeChanges(changes: Change | Change[] | null): ChangeSummary {
+  const list = !changes ? [] : Array.isArray(changes) ? changes : [changes]
+  const root = branch([])
+  for (const change of list) {
+    const path = targetPath(change)
+    let node = root
+    for (let depth = 0; ; depth++) {
+      node.counts[change.kind]++
+      node.total++
+      if (depth === path.length) {
+        break
+      }
+      const key = path[depth]
+      let child = node.children.get(key)
+      if (!child) {
+        child = branch(path.slice(0, depth + 1), key)
+        node.children.set(key, child)
+      }
+      node = child
+    }
+  }
+  return {
+    counts: root.counts,
+    keys: Array.from(root.children.keys()),
+    total: root.total,
+    tree: toNode(root),
+  }
+}
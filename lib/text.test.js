@@ -0,0 +1,136 @@
+const expect = require('expect.js')
+const {
+  diff,
+  applyChanges,
+  revertChanges,
+  invertChanges,
+  composeChanges,
+  rebaseChanges,
+  formatText,
+  toJsonPatch,
+  changesToMergePatch,
+} = require('.')
+
+describe('Text diffs', function () {
+  const lhs = { body: 'The quick brown fox jumps over the lazy dog. '.repeat(30) }
+  const rhs = { body: lhs.body.replace('lazy dog', 'sleepy cat') }
+
+  it('records the parts of long strings that changed', function () {
+    const changes = diff(lhs, rhs, { text: { unit: 'word' } })
+    expect(changes).to.have.length(1)
+    expect(changes[0].kind).to.be('T')
+    expect(changes[0].path).to.eql(['body'])
+    expect(changes[0].hunks).to.eql([
+      { after: ' ', before: ' jumps over the ', index: 35, lhs: 'lazy', rhs: 'sleepy' },
+      { after: '. The quick brow', before: ' ', index: 42, lhs: 'dog', rhs: 'cat' },
+    ])
+  })
+
+  it('applies and reverts text changes', function () {
+    for (const unit of ['char', 'word', 'line']) {
+      const changes = diff(lhs, rhs, { text: { unit } })
+      expect(applyChanges(lhs, changes, { strict: true })).to.eql(rhs)
+      expect(revertChanges(rhs, changes, { strict: true })).to.eql(lhs)
+      expect(applyChanges(rhs, invertChanges(changes))).to.eql(lhs)
+    }
+  })
+
+  it('finds the changed text when the string has changed elsewhere since', function () {
+    const changes = diff({ note: 'one two three four five six' }, { note: 'one 2 three four five 6' }, {
+      text: { minLength: 10, unit: 'word' },
+    })
+    expect(applyChanges({ note: 'zero one two three four five six' }, changes)).to.eql({
+      note: 'zero one 2 three four five 6',
+    })
+  })
+
+  it('reports strings the hunks do not apply to', function () {
+    const changes = diff(lhs, rhs, { text: {} })
+    const report = applyChanges({ body: 'something else' }, changes, { dryRun: true })
+    expect(report.conflicts).to.have.length(1)
+    expect(report.conflicts[0].reason).to.be('mismatch')
+    expect(applyChanges({ body: 1 }, changes, { dryRun: true }).conflicts[0].reason).to.be('type')
+  })
+
+  it('does not apply hunks to unrelated strings or text that moved too far', function () {
+    const options = { text: { minLength: 10 } }
+    const insertion = diff({ a: 'hello world, how are you' }, { a: 'hello big world, how are you' }, options)
+    const deletion = diff({ a: 'hello world, how are you' }, { a: 'hello world how are you' }, options)
+    for (const changes of [insertion, deletion]) {
+      const unrelated = { a: 'completely unrelated, text here' }
+      expect(function () {
+        applyChanges(unrelated, changes)
+      }).to.throwError(/Cannot find/)
+      expect(applyChanges(unrelated, changes, { dryRun: true }).conflicts[0].reason).to.be('mismatch')
+      const far = { a: 'x'.repeat(2000) + 'hello world, how are you' }
+      expect(applyChanges(far, changes, { dryRun: true }).conflicts[0].reason).to.be('mismatch')
+    }
+    expect(applyChanges({ a: 'so, hello world, how are you' }, insertion, { strict: true })).to.eql({
+      a: 'so, hello big world, how are you',
+    })
+  })
+
+  it('records short and entirely different strings as edits', function () {
+    expect(diff({ a: 'one two' }, { a: 'one 2' }, { text: {} })[0].kind).to.be('E')
+    const changes = diff({ a: 'one two three' }, { a: 'completely different' }, { text: { minLength: 10 } })
+    expect(changes[0].kind).to.be('E')
+  })
+
+  it('records strings that take more than maxEdits edits as edits', function () {
+    const changed = { body: lhs.body.replace(/lazy/g, 'idle') }
+    // each of the 30 words takes removing and inserting 3 characters
+    expect(diff(lhs, changed, { text: {} })[0].kind).to.be('T')
+    expect(diff(lhs, changed, { text: { maxEdits: 179 } })[0].kind).to.be('E')
+    expect(diff(lhs, changed, { text: { maxEdits: 180 } })[0].kind).to.be('T')
+  })
+
+  it('compares long unrelated strings quickly', function () {
+    this.timeout(10000)
+    let seed = 7
+    const text = () =>
+      Array.from({ length: 100000 }, () => 'abcdefgh    '[(seed = (seed * 48271) % 2147483647) % 12]).join('')
+    const changes = diff({ a: text() }, { a: text() }, { text: {} })
+    expect(changes[0].kind).to.be('E')
+  })
+
+  it('combines text changes with edits of the same string', function () {
+    const changes = diff(lhs, rhs, { text: {} })
+    const composed = composeChanges(changes, diff(rhs, { body: 'short' }))
+    expect(composed).to.eql([{ kind: 'E', path: ['body'], lhs: lhs.body, rhs: 'short' }])
+  })
+
+  it('merges concurrent text changes to different parts of a string', function () {
+    const base = { note: 'alpha beta gamma delta epsilon zeta eta theta' }
+    const options = { text: { minLength: 10, unit: 'word' } }
+    const local = diff(base, { note: 'ALPHA beta gamma delta epsilon zeta eta theta' }, options)
+    const remote = diff(base, { note: 'alpha beta gamma delta epsilon zeta eta THETA' }, options)
+    const { changes, conflicts } = rebaseChanges(local, remote)
+    expect(applyChanges({ note: 'alpha beta gamma delta epsilon zeta eta THETA' }, changes)).to.eql({
+      note: 'ALPHA beta gamma delta epsilon zeta eta THETA',
+    })
+    expect(conflicts).to.be.empty()
+    const clashing = diff(base, { note: 'alpha beta gamma delta epsilon zeta eta omega' }, options)
+    expect(rebaseChanges(clashing, remote).conflicts[0].reason).to.be('replaced')
+  })
+
+  it('formats the hunks of text changes', function () {
+    const changes = diff(lhs, rhs, { text: { unit: 'word' } })
+    expect(formatText(changes).split('\n')).to.eql([
+      '  {',
+      '~   "body": … jumps over the [-lazy-]{+sleepy+} …',
+      '~   "body": … [-dog-]{+cat+}. The quick brow…',
+      '  }',
+    ])
+  })
+
+  it('can only be expressed in patches given the source document', function () {
+    const changes = diff(lhs, rhs, { text: {} })
+    expect(function () {
+      toJsonPatch(changes)
+    }).to.throwError(/Cannot express the text change at \/body in a JSON Patch/)
+    expect(function () {
+      changesToMergePatch(changes)
+    }).to.throwError(/Cannot express the text change at body in a merge patch/)
+    expect(changesToMergePatch(changes, lhs)).to.eql(rhs)
+  })
+})
@@ -0,0 +1,161 @@
+import { commonSubsequence } from './arrays'
+
+export interface TextHunk {
+  /** The text following the replaced text, to find it again when the string has changed since */
+  readonly after: string
+  /** The text preceding the replaced text */
+  readonly before: string
+  /** The offset of the replaced text once the hunks before it were applied */
+  readonly index: number
+  readonly lhs: string
+  readonly rhs: string
+}
+
+export interface TextDiffOptions {
+  /**
+   * Strings that take more than this many removed and inserted units to turn one into the other are still recorded as
+   * edits, 1000 by default. Comparing strings takes time with the number of units times this many.
+   */
+  readonly maxEdits?: number
+  /** Strings shorter than this are still recorded as edits, 1000 by default */
+  readonly minLength?: number
+  /** Whether to compare strings `'char'` by char (the default), `'word'` by word or `'line'` by line */
+  readonly unit?: 'char' | 'word' | 'line'
+}
+
+const CONTEXT = 16
+
+function tokenize(text: string, unit: TextDiffOptions['unit']) {
+  switch (unit) {
+    case 'line':
+      return text.match(/[^\n]*\n|[^\n]+$/g) || []
+    case 'word':
+      return text.match(/\w+|\s+|[^\w\s]+/g) || []
+  }
+  return text.split('')
+}
+
+/**
+ * Builds the hunks turning `lhs` into `rhs`, or returns undefined when that takes more than `maxEdits` removed and
+ * inserted units. Their context only holds text both strings share, so it stays valid whichever of the hunks around
+ * them were applied.
+ */
+export function diffText(lhs: string, rhs: string, unit?: TextDiffOptions['unit'], maxEdits = Infinity) {
+  const lhsTokens = tokenize(lhs, unit)
+  const rhsTokens = tokenize(rhs, unit)
+  const pairs = commonSubsequence(lhsTokens, rhsTokens, (a, b) => a === b, maxEdits)
+  if (!pairs) {
+    return undefined
+  }
+  pairs.push([lhsTokens.length, rhsTokens.length])
+
+  const spans: Array<{ lhsEnd: number; lhsStart: number; rhsEnd: number; rhsStart: number }> = []
+  let l = 0
+  let r = 0
+  let lhsOffset = 0
+  let rhsOffset = 0
+  for (const [nextL, nextR] of pairs) {
+    if (nextL > l || nextR > r) {
+      const lhsEnd = lhsOffset + lhsTokens.slice(l, nextL).join('').length
+      const rhsEnd = rhsOffset + rhsTokens.slice(r, nextR).join('').length
+      spans.push({ lhsStart: lhsOffset, lhsEnd, rhsStart: rhsOffset, rhsEnd })
+      lhsOffset = lhsEnd
+      rhsOffset = rhsEnd
+    }
+    if (nextL < lhsTokens.length) {
+      lhsOffset += lhsTokens[nextL].length
+      rhsOffset += rhsTokens[nextR].length
+    }
+    l = nextL + 1
+    r = nextR + 1
+  }
+
+  return spans.map(
+    ({ lhsStart, lhsEnd, rhsStart, rhsEnd }, i): TextHunk => {
+      const previousEnd = i > 0 ? spans[i - 1].rhsEnd : 0
+      const nextStart = i < spans.length - 1 ? spans[i + 1].lhsStart : lhs.length
+      return {
+        after: lhs.slice(lhsEnd, Math.min(lhsEnd + CONTEXT, nextStart)),
+        before: rhs.slice(Math.max(rhsStart - CONTEXT, previousEnd), rhsStart),
+        index: rhsStart,
+        lhs: lhs.slice(lhsStart, lhsEnd),
+        rhs: rhs.slice(rhsStart, rhsEnd),
+      }
+    }
+  )
+}
+
+// How far from where it was text that moved is looked for
+const REACH = 1000
+
+// The offsets of `pattern` in `text` starting between `from` and `to`
+function occurrences(text: string, pattern: string, from: number, to: number) {
+  const found: number[] = []
+  for (let at = text.indexOf(pattern, Math.max(from, 0)); at >= 0 && at <= to; at = text.indexOf(pattern, at + 1)) {
+    found.push(at)
+  }
+  return found
+}
+
+// Finds `find` in `text`, where it is expected or otherwise where it is found with as much of its context as possible,
+// nearest to where it was expected and no further than `REACH`. At least one side of the context must be found with it,
+// so text that is found anywhere, such as a single character or nothing at all, only applies where it is expected.
+function locate(text: string, find: string, before: string, after: string, expected: number) {
+  const fits = (at: number) =>
+    at >= before.length &&
+    text.startsWith(find, at) &&
+    text.slice(at - before.length, at) === before &&
+    text.startsWith(after, at + find.length)
+  if (fits(expected)) {
+    return expected
+  }
+  const attempts: Array<[string, string]> = [[before, after], ['', after], [before, '']]
+  for (const [prefix, suffix] of attempts) {
+    if (!prefix && !suffix) {
+      continue
+    }
+    const found = occurrences(
+      text,
+      prefix + find + suffix,
+      expected - REACH - prefix.length,
+      expected + REACH - prefix.length
+    ).map(at => at + prefix.length)
+    if (found.length) {
+      return found.reduce((best, at) => (Math.abs(at - expected) < Math.abs(best - expected) ? at : best))
+    }
+  }
+  return -1
+}
+
+/**
+ * Applies hunks to `text`, or reverts them. Text that moved since the hunks were made is looked up with its context
+ * around where it was, and a hunk whose text can't be found there throws.
+ */
+export function patchText(text: string, hunks: TextHunk[], reverting: boolean) {
+  if (typeof text !== 'string') {
+    throw new TypeError(`Cannot patch ${typeof text}, a string is expected`)
+  }
+  // hunks count their offsets with the hunks before them applied, so they are reverted last to first
+  const ordered = reverting ? hunks.slice().reverse() : hunks
+  let drift = 0
+  for (const hunk of ordered) {
+    const find = reverting ? hunk.rhs : hunk.lhs
+    const at = locate(text, find, hunk.before, hunk.after, hunk.index + drift)
+    if (at < 0) {
+      throw new Error(`Cannot find ${JSON.stringify(find)} to replace near offset ${hunk.index}`)
+    }
+    drift = at - hunk.index
+    text = text.slice(0, at) + (reverting ? hunk.lhs : hunk.rhs) + text.slice(at + find.length)
+  }
+  return text
+}
+
+/** Swaps what hunks replace and by what, moving their offsets to apply to the text they produced */
+export function invertHunks(hunks: TextHunk[]) {
+  let shift = 0
+  return hunks.map(hunk => {
+    const inverted = { ...hunk, index: hunk.index - shift, lhs: hunk.rhs, rhs: hunk.lhs }
+    shift += hunk.rhs.length - hunk.lhs.length
+    return inverted
+  })
+}
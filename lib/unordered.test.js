@@ -0,0 +1,68 @@
+const expect = require('expect.js')
+const { diff, applyChanges, revertChanges, invertChanges, rebaseChanges } = require('.')
+
+describe('Unordered arrays', function () {
+  const lhs = { tags: ['a', 'b', 'c', 'b'], roles: [{ name: 'admin' }, { name: 'user' }] }
+  const rhs = { tags: ['b', 'c', 'b', 'd'], roles: [{ name: 'user' }, { name: 'guest' }] }
+
+  it('records only the members added and removed', function () {
+    expect(diff(lhs, rhs, { arrays: 'unordered' })).to.eql([
+      { kind: 'A', path: ['tags'], index: 0, item: { kind: 'D', lhs: 'a' }, unordered: true },
+      { kind: 'A', path: ['tags'], index: 3, item: { kind: 'N', rhs: 'd' }, unordered: true },
+      { kind: 'A', path: ['roles'], index: 0, item: { kind: 'D', lhs: { name: 'admin' } }, unordered: true },
+      { kind: 'A', path: ['roles'], index: 1, item: { kind: 'N', rhs: { name: 'guest' } }, unordered: true },
+    ])
+    expect(diff({ a: [1, 2, 3] }, { a: [3, 1, 2] }, { arrays: 'unordered' })).to.be(null)
+  })
+
+  it('counts repeated members', function () {
+    expect(diff(['x', 'x', 'y'], ['y', 'x'], { arrays: 'unordered' })).to.eql([
+      { kind: 'A', index: 1, item: { kind: 'D', lhs: 'x' }, unordered: true },
+    ])
+  })
+
+  it('compares the arrays matching path patterns as multisets', function () {
+    const changes = diff(lhs, rhs, { unordered: ['/tags'] })
+    expect(changes.filter(function (change) {
+      return change.path[0] === 'tags'
+    })).to.have.length(2)
+    expect(changes.some(function (change) {
+      return change.path[0] === 'roles' && !change.unordered
+    })).to.be(true)
+    expect(diff({ a: [{ b: [1, 2] }] }, { a: [{ b: [2, 1] }] }, { unordered: ['/a/*/b'] })).to.be(null)
+  })
+
+  it('adds and removes members by value', function () {
+    const changes = diff(lhs, rhs, { arrays: 'unordered' })
+    const result = applyChanges(lhs, changes, { strict: true })
+    expect(diff(result, rhs, { arrays: 'unordered' })).to.be(null)
+    expect(diff(revertChanges(rhs, changes, { strict: true }), lhs, { arrays: 'unordered' })).to.be(null)
+    expect(diff(applyChanges(rhs, invertChanges(changes)), lhs, { arrays: 'unordered' })).to.be(null)
+    const reordered = { tags: ['c', 'b', 'a', 'b'], roles: [{ name: 'user' }, { name: 'admin' }] }
+    expect(applyChanges(reordered, changes, { strict: true })).to.eql({
+      tags: ['c', 'b', 'b', 'd'],
+      roles: [{ name: 'user' }, { name: 'guest' }],
+    })
+  })
+
+  it('reports members missing from the target', function () {
+    const changes = diff(lhs, rhs, { arrays: 'unordered' })
+    const report = applyChanges({ tags: ['b'], roles: lhs.roles }, changes, { dryRun: true })
+    expect(report.conflicts).to.eql([
+      { actual: undefined, change: changes[0], expected: 'a', index: 0, path: ['tags'], reason: 'missing' },
+    ])
+    expect(applyChanges({ tags: ['b'], roles: [] }, changes).tags).to.eql(['b', 'd'])
+  })
+
+  it('keeps member changes by value when rebased', function () {
+    const base = { tags: ['a', 'b', 'c'] }
+    const remote = diff(base, { tags: ['b', 'c'] }, { arrays: 'unordered' })
+    const local = diff(base, { tags: ['c', 'a'] }, { arrays: 'unordered' })
+    const { changes, conflicts } = rebaseChanges(local, remote)
+    expect(conflicts).to.eql([])
+    expect(changes.every(function (change) {
+      return change.unordered
+    })).to.be(true)
+    expect(applyChanges(applyChanges(base, remote), changes)).to.eql({ tags: ['c'] })
+  })
+})